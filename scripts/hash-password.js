@@ -0,0 +1,12 @@
+// Print a password hash for use in the staff file (see STAFF_FILE)
+// Usage: npm run hash-password -- <password>
+const { hashPassword } = require("../server/staff-directory");
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error("Usage: npm run hash-password -- <password>");
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -0,0 +1,51 @@
+// Local stand-in for a webhook consumer (pager, nurse-call dashboard, ...).
+// Prints each delivery and checks its signature against WEBHOOK_SECRET.
+// Usage: WEBHOOK_SECRET=<secret> npm run webhook-receiver -- [port] [failures]
+// The first <failures> deliveries get a 503, to exercise retries.
+const crypto = require("crypto");
+const http = require("http");
+const { signPayload } = require("../server/webhooks");
+
+const port = parseInt(process.argv[2], 10) || 4000;
+let failures = parseInt(process.argv[3], 10) || 0;
+const secret = process.env.WEBHOOK_SECRET;
+
+function checkSignature(headers, body) {
+  if (!secret) {
+    return "not checked (set WEBHOOK_SECRET)";
+  }
+
+  const expected = Buffer.from(
+    `sha256=${signPayload(secret, headers["x-webhook-timestamp"], body)}`
+  );
+  const actual = Buffer.from(headers["x-webhook-signature"] || "");
+  return actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+    ? "valid"
+    : "INVALID";
+}
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const signature = checkSignature(req.headers, body);
+      console.log(
+        `📨 ${req.headers["x-webhook-event"]} (delivery ${req.headers["x-webhook-delivery"]}), signature ${signature}`
+      );
+      console.log(body);
+
+      if (failures > 0) {
+        failures--;
+        res.writeHead(503).end();
+        return;
+      }
+      res.writeHead(signature === "INVALID" ? 401 : 204).end();
+    });
+  })
+  .listen(port, () => {
+    console.log(`🪝 Webhook receiver listening on http://localhost:${port}`);
+  });
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const path = require("path");
+
+// Attachment files on local disk, for development and single-node setups.
+// Keys look like "<attachmentId>/original" and map to files under `dir`.
+class LocalAttachmentStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  filePath(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.filePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  // Buffer with the file's contents, or null if there is none
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.filePath(key));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Readable stream of the file, or null if there is none
+  async open(key) {
+    const filePath = this.filePath(key);
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  // IDs of every stored attachment
+  async listIds() {
+    const entries = await fs.promises.readdir(this.dir, {
+      withFileTypes: true,
+    });
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  }
+
+  // Delete an attachment's files (original, thumbnail and metadata)
+  async deleteAll(attachmentId) {
+    await fs.promises.rm(this.filePath(attachmentId), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  async close() {}
+}
+
+module.exports = LocalAttachmentStore;
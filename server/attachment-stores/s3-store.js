@@ -0,0 +1,109 @@
+// Attachment files in an S3-compatible bucket (AWS S3, MinIO, ...).
+// Credentials come from the usual AWS environment variables or role.
+class S3AttachmentStore {
+  constructor({ bucket, region, endpoint, prefix }) {
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint;
+    this.prefix = prefix;
+    this.client = null;
+    this.sdk = null;
+  }
+
+  async init() {
+    // Required lazily so deployments on local disk don't need the AWS SDK
+    this.sdk = require("@aws-sdk/client-s3");
+
+    if (!this.bucket) {
+      throw new Error("S3_BUCKET must be set for the s3 attachment store");
+    }
+
+    this.client = new this.sdk.S3Client({
+      region: this.region,
+      // Custom endpoints (MinIO and friends) usually need path-style URLs
+      ...(this.endpoint && { endpoint: this.endpoint, forcePathStyle: true }),
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.client.send(
+      new this.sdk.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.prefix + key,
+        Body: buffer,
+        ContentType: contentType,
+        ServerSideEncryption: "AES256",
+      })
+    );
+  }
+
+  // Buffer with the object's contents, or null if there is none
+  async get(key) {
+    const body = await this.open(key);
+    return body ? Buffer.from(await body.transformToByteArray()) : null;
+  }
+
+  // Readable stream of the object, or null if there is none
+  async open(key) {
+    try {
+      const { Body } = await this.client.send(
+        new this.sdk.GetObjectCommand({
+          Bucket: this.bucket,
+          Key: this.prefix + key,
+        })
+      );
+      return Body;
+    } catch (error) {
+      if (error.name === "NoSuchKey") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // IDs of every stored attachment (the "directories" under the prefix)
+  async listIds() {
+    const ids = [];
+    let ContinuationToken;
+    do {
+      const page = await this.client.send(
+        new this.sdk.ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.prefix,
+          Delimiter: "/",
+          ContinuationToken,
+        })
+      );
+      for (const { Prefix } of page.CommonPrefixes || []) {
+        ids.push(Prefix.slice(this.prefix.length, -1));
+      }
+      ContinuationToken = page.NextContinuationToken;
+    } while (ContinuationToken);
+    return ids;
+  }
+
+  // Delete an attachment's objects (original, thumbnail and metadata)
+  async deleteAll(attachmentId) {
+    const { Contents = [] } = await this.client.send(
+      new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: `${this.prefix}${attachmentId}/`,
+      })
+    );
+    if (Contents.length === 0) {
+      return;
+    }
+    await this.client.send(
+      new this.sdk.DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: { Objects: Contents.map(({ Key }) => ({ Key })) },
+      })
+    );
+  }
+
+  async close() {
+    this.client?.destroy();
+  }
+}
+
+module.exports = S3AttachmentStore;
@@ -0,0 +1,272 @@
+const crypto = require("crypto");
+const path = require("path");
+const config = require("./config");
+const logger = require("./logger");
+const LocalAttachmentStore = require("./attachment-stores/local-store");
+const S3AttachmentStore = require("./attachment-stores/s3-store");
+
+// Pick the attachment storage backend configured for this deployment
+function createAttachmentStore(type) {
+  switch (type) {
+    case "local":
+      return new LocalAttachmentStore(config.ATTACHMENTS_DIR);
+    case "s3":
+      return new S3AttachmentStore(config.S3_CONFIG);
+    default:
+      throw new Error(`Unknown attachment store: ${type}`);
+  }
+}
+
+const store = createAttachmentStore(config.ATTACHMENT_STORE);
+let storeReady = null;
+
+// Initialize the backend once; every call below waits for it
+function initAttachmentStore() {
+  if (!storeReady) {
+    storeReady = store.init().then(() => {
+      logger.info("Attachment store ready", { store: config.ATTACHMENT_STORE });
+      return store;
+    });
+  }
+  return storeReady;
+}
+
+// Identify a file from its first bytes; the client's Content-Type isn't
+// trusted. Returns a MIME type, or null for anything unrecognised.
+function detectMimeType(buffer) {
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") {
+    return "image/png";
+  }
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+    return "image/gif";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (ascii(0, 5) === "%PDF-") {
+    return "application/pdf";
+  }
+  return null;
+}
+
+// Keep display names short and free of path separators and control characters
+function cleanFileName(fileName) {
+  const name = path
+    .basename(String(fileName || "attachment"))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, "_")
+    .trim();
+  return (name || "attachment").slice(0, 120);
+}
+
+// WebP thumbnail of an image, or null if there's no image library available
+// or the image can't be decoded. Re-encoding also drops EXIF data.
+async function createThumbnail(buffer) {
+  let sharp;
+  try {
+    // Optional dependency; without it attachments just have no preview
+    sharp = require("sharp");
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const { data, info } = await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(config.THUMBNAIL_SIZE, config.THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 75 })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  } catch (error) {
+    logger.warn("Unable to create thumbnail", { error: error.message });
+    return null;
+  }
+}
+
+// Store an uploaded file for `roomId`. `mimeType` is what detectMimeType
+// found, after the caller checked it's an allowed type. Returns the
+// attachment's metadata.
+async function saveAttachment({ buffer, fileName, mimeType, roomId, user }) {
+  try {
+    await initAttachmentStore();
+
+    const id = crypto.randomUUID();
+    const thumbnail = mimeType.startsWith("image/")
+      ? await createThumbnail(buffer)
+      : null;
+
+    const attachment = {
+      id,
+      roomId,
+      fileName: cleanFileName(fileName),
+      mimeType,
+      size: buffer.length,
+      sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+      uploadedBy: { userId: user.userId, userName: user.userName },
+      uploadedAt: new Date().toISOString(),
+      messageId: null, // Set once sent; unsent uploads are swept
+
+      ...(thumbnail && {
+        thumbnail: { width: thumbnail.width, height: thumbnail.height },
+      }),
+    };
+
+    await store.put(`${id}/original`, buffer, mimeType);
+    if (thumbnail) {
+      await store.put(`${id}/thumbnail`, thumbnail.buffer, "image/webp");
+    }
+    await writeMetadata(attachment);
+
+    return attachment;
+  } catch (error) {
+    logger.error("Error saving attachment", { error });
+    throw error;
+  }
+}
+
+// Metadata lives next to the file, so every backend is self-contained
+async function writeMetadata(attachment) {
+  await store.put(
+    `${attachment.id}/meta.json`,
+    Buffer.from(JSON.stringify(attachment)),
+    "application/json"
+  );
+}
+
+// Attachment metadata, or null if `attachmentId` is unknown
+async function getAttachment(attachmentId) {
+  if (!/^[0-9a-f-]{36}$/.test(String(attachmentId))) {
+    return null;
+  }
+
+  try {
+    await initAttachmentStore();
+    const data = await store.get(`${attachmentId}/meta.json`);
+    return data ? JSON.parse(data.toString("utf8")) : null;
+  } catch (error) {
+    logger.error("Error fetching attachment", { error });
+    throw error;
+  }
+}
+
+// Record the message an upload was sent with, so the sweep keeps it
+async function markAttachmentSent(attachmentId, messageId) {
+  try {
+    const attachment = await getAttachment(attachmentId);
+    if (attachment) {
+      attachment.messageId = messageId;
+      await writeMetadata(attachment);
+    }
+  } catch (error) {
+    logger.error("Error updating attachment", { error });
+    throw error;
+  }
+}
+
+// Stop serving a file once the message it was sent with is deleted
+async function markAttachmentDeleted(attachmentId) {
+  try {
+    const attachment = await getAttachment(attachmentId);
+    if (attachment && !attachment.deletedAt) {
+      attachment.deletedAt = new Date().toISOString();
+      await writeMetadata(attachment);
+    }
+  } catch (error) {
+    logger.error("Error deleting attachment", { error });
+    throw error;
+  }
+}
+
+// Remove an attachment's files and metadata for good
+async function deleteAttachment(attachmentId) {
+  try {
+    await initAttachmentStore();
+    await store.deleteAll(attachmentId);
+  } catch (error) {
+    logger.error("Error deleting attachment files", { error });
+    throw error;
+  }
+}
+
+// Remove the files of deleted messages' attachments, and uploads never
+// sent within ATTACHMENT_ORPHAN_TTL_MS. Returns { deleted, orphaned }.
+async function sweepAttachments() {
+  try {
+    await initAttachmentStore();
+    const cutoff = new Date(
+      Date.now() - config.ATTACHMENT_ORPHAN_TTL_MS
+    ).toISOString();
+    const swept = { deleted: 0, orphaned: 0 };
+
+    for (const id of await store.listIds()) {
+      const attachment = await getAttachment(id);
+      if (attachment?.deletedAt) {
+        await store.deleteAll(id);
+        swept.deleted++;
+      } else if (
+        // Uploads from before sends were recorded have no messageId field
+        // at all; only ones known to be unsent are orphans
+        attachment?.messageId === null &&
+        attachment.uploadedAt < cutoff
+      ) {
+        await store.deleteAll(id);
+        swept.orphaned++;
+      }
+    }
+    return swept;
+  } catch (error) {
+    logger.error("Error sweeping attachments", { error });
+    throw error;
+  }
+}
+
+// Readable stream of an attachment's "original" or "thumbnail", or null
+async function openAttachment(attachmentId, variant) {
+  try {
+    await initAttachmentStore();
+    return await store.open(`${attachmentId}/${variant}`);
+  } catch (error) {
+    logger.error("Error opening attachment", { error });
+    throw error;
+  }
+}
+
+// The attachment fields carried on a message
+function toMessageAttachment(attachment) {
+  return {
+    id: attachment.id,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    ...(attachment.thumbnail && { thumbnail: attachment.thumbnail }),
+  };
+}
+
+async function closeAttachmentStore() {
+  try {
+    await store.close();
+  } catch (error) {
+    logger.error("Error closing attachment store", { error });
+  }
+}
+
+module.exports = {
+  initAttachmentStore,
+  detectMimeType,
+  saveAttachment,
+  getAttachment,
+  markAttachmentSent,
+  markAttachmentDeleted,
+  deleteAttachment,
+  sweepAttachments,
+  openAttachment,
+  toMessageAttachment,
+  closeAttachmentStore,
+};
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const database = require("./database");
+const logger = require("./logger");
+
+// Hash the first entry of a chain links back to
+const GENESIS_HASH = "0".repeat(64);
+
+// Entries are read back in pages when verifying a chain
+const VERIFY_PAGE_SIZE = 1000;
+
+// SHA-256 over an entry's position, content and its predecessor's hash
+function hashEntry(entry) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        entry.prevHash,
+        entry.chainId,
+        entry.seq,
+        entry.timestamp,
+        entry.action,
+        entry.userId,
+        entry.userName,
+        entry.roomId,
+        entry.messageId,
+        entry.details,
+      ])
+    )
+    .digest("hex");
+}
+
+// Columns of a CSV export, in order
+const CSV_COLUMNS = [
+  "timestamp",
+  "chainId",
+  "seq",
+  "action",
+  "userId",
+  "userName",
+  "roomId",
+  "messageId",
+  "details",
+  "prevHash",
+  "hash",
+];
+
+// Quote a CSV field when needed, and defuse values a spreadsheet would run
+// as a formula
+function csvField(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Append-only audit trail of chat activity (joins, reads, sends, edits, ...).
+// Each server writes its own hash chain: every entry carries the hash of the
+// one before it, so changing, removing or reordering entries breaks the
+// chain from that point on. Appends are serialized within the process.
+class AuditLog {
+  constructor({ chainId }) {
+    this.chainId = chainId;
+    this.head = null; // { seq, hash } of the last entry written
+    this.queue = Promise.resolve();
+  }
+
+  // Record `action` by `actor` ({ userId, userName }). Never rejects: a
+  // failed write is logged rather than failing the chat operation.
+  record(
+    action,
+    actor,
+    { roomId = null, messageId = null, details = {} } = {}
+  ) {
+    const entry = {
+      id: crypto.randomUUID(),
+      chainId: this.chainId,
+      timestamp: new Date().toISOString(),
+      action,
+      userId: actor?.userId ?? null,
+      userName: actor?.userName ?? null,
+      roomId,
+      messageId,
+      details: JSON.stringify(details),
+    };
+
+    this.queue = this.queue
+      .then(() => this.append(entry))
+      .catch((error) => {
+        logger.error("Error writing audit entry", { action, error });
+      });
+    return this.queue;
+  }
+
+  async append(entry) {
+    if (!this.head) {
+      const last = await database.getLastAuditEntry(this.chainId);
+      this.head = last
+        ? { seq: last.seq, hash: last.hash }
+        : { seq: 0, hash: GENESIS_HASH };
+    }
+
+    const chained = {
+      ...entry,
+      seq: this.head.seq + 1,
+      prevHash: this.head.hash,
+    };
+    chained.hash = hashEntry(chained);
+
+    await database.appendAuditEntry(chained);
+    this.head = { seq: chained.seq, hash: chained.hash };
+  }
+
+  // Wait for queued entries to be written (e.g. before shutdown)
+  flush() {
+    return this.queue;
+  }
+
+  static toCsv(entries) {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const entry of entries) {
+      lines.push(
+        CSV_COLUMNS.map((column) => csvField(entry[column])).join(",")
+      );
+    }
+    return `${lines.join("\r\n")}\r\n`;
+  }
+
+  // Re-hash one chain from the start. Returns { chainId, entries, valid,
+  // headHash } plus, if broken, the first bad entry as `brokenAt`.
+  static async verifyChain(chainId) {
+    let expected = { seq: 0, hash: GENESIS_HASH };
+
+    for (;;) {
+      const page = await database.getAuditChain(
+        chainId,
+        expected.seq,
+        VERIFY_PAGE_SIZE
+      );
+
+      for (const entry of page) {
+        const problem =
+          entry.seq !== expected.seq + 1
+            ? `missing entries before #${entry.seq}`
+            : entry.prevHash !== expected.hash
+              ? "previous hash does not match"
+              : entry.hash !== hashEntry(entry)
+                ? "entry hash does not match its content"
+                : null;
+
+        if (problem) {
+          return {
+            chainId,
+            entries: expected.seq,
+            valid: false,
+            brokenAt: { seq: entry.seq, id: entry.id, reason: problem },
+          };
+        }
+        expected = { seq: entry.seq, hash: entry.hash };
+      }
+
+      if (page.length < VERIFY_PAGE_SIZE) {
+        return {
+          chainId,
+          entries: expected.seq,
+          valid: true,
+          headHash: expected.hash,
+        };
+      }
+    }
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("./config");
+const logger = require("./logger");
+
+if (!process.env.AUTH_SECRET) {
+  logger.warn("AUTH_SECRET is not set, using an insecure development secret");
+}
+
+// Issue a signed token carrying the staff identity
+function issueToken(profile) {
+  return jwt.sign(
+    {
+      userName: profile.userName,
+      roles: profile.roles,
+      department: profile.department,
+    },
+    config.AUTH_SECRET,
+    { subject: profile.userId, expiresIn: config.TOKEN_TTL }
+  );
+}
+
+// Verify a token and return the staff identity it carries (throws if invalid)
+function verifyToken(token) {
+  const payload = jwt.verify(token, config.AUTH_SECRET);
+
+  return {
+    userId: payload.sub,
+    userName: payload.userName,
+    roles: payload.roles || [],
+    department: payload.department || null,
+  };
+}
+
+// Download links are signed with a key derived for that purpose alone, so a
+// link can't be used as a session token or the other way round
+const DOWNLOAD_KEY = crypto
+  .createHmac("sha256", config.AUTH_SECRET)
+  .update("attachment-download")
+  .digest();
+
+// Short-lived token letting `user` fetch one attachment without headers
+// (e.g. from an <img> tag)
+function issueDownloadToken(user, attachmentId) {
+  return jwt.sign({ attachmentId, userName: user.userName }, DOWNLOAD_KEY, {
+    subject: user.userId,
+    expiresIn: config.ATTACHMENT_URL_TTL,
+  });
+}
+
+// Returns { userId, userName } for a valid token issued for `attachmentId`,
+// otherwise null
+function verifyDownloadToken(token, attachmentId) {
+  try {
+    const payload = jwt.verify(String(token), DOWNLOAD_KEY);
+    if (payload.attachmentId !== attachmentId) {
+      return null;
+    }
+    return { userId: payload.sub, userName: payload.userName };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Socket.IO handshake middleware: only authenticated staff may connect
+function socketAuthMiddleware(socket, next) {
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    return next(new Error("Unauthorized"));
+  }
+
+  try {
+    socket.data.user = verifyToken(token);
+    next();
+  } catch (error) {
+    next(new Error("Unauthorized"));
+  }
+}
+
+// Express middleware for REST endpoints: expects "Authorization: Bearer <token>"
+function requireAuth(req, res, next) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    req.user = verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+// Express middleware, after requireAuth: the user needs one of `roles`
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.some((role) => req.user.roles.includes(role))) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+    next();
+  };
+}
+
+// Express middleware for the integration endpoints: interface engines send
+// INTEGRATION_API_KEY as a bearer token
+function requireIntegrationKey(req, res, next) {
+  if (!config.INTEGRATION_API_KEY) {
+    return res.status(503).json({ error: "Integrations are not configured" });
+  }
+
+  const header = req.get("authorization") || "";
+  const [scheme, key] = header.split(" ");
+
+  // Compare digests so the check takes the same time for any key
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (
+    scheme !== "Bearer" ||
+    !key ||
+    !crypto.timingSafeEqual(digest(key), digest(config.INTEGRATION_API_KEY))
+  ) {
+    return res.status(401).json({ error: "Invalid integration key" });
+  }
+
+  next();
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  socketAuthMiddleware,
+  requireAuth,
+  requireRole,
+  requireIntegrationKey,
+  issueDownloadToken,
+  verifyDownloadToken,
+};
@@ -0,0 +1,68 @@
+// Kafka-backed broker. Messages are keyed by room so each room's messages stay
+// ordered within a partition; each consumer group is a separate consumer.
+class KafkaBroker {
+  constructor({ clientId, brokers }) {
+    this.clientId = clientId;
+    this.brokers = brokers;
+    this.kafka = null;
+    this.producer = null;
+    this.admin = null;
+    this.consumers = [];
+  }
+
+  async connect() {
+    // Required lazily so deployments on the memory broker don't need kafkajs
+    const { Kafka } = require("kafkajs");
+
+    this.kafka = new Kafka({ clientId: this.clientId, brokers: this.brokers });
+    this.producer = this.kafka.producer();
+    await this.producer.connect();
+    this.admin = this.kafka.admin();
+    await this.admin.connect();
+  }
+
+  // Throws if the cluster can't be reached
+  async ping() {
+    await this.admin.describeCluster();
+  }
+
+  async publish(topic, key, value) {
+    await this.producer.send({
+      topic,
+      messages: [
+        {
+          key,
+          value: JSON.stringify(value),
+          timestamp: String(Date.now()),
+        },
+      ],
+    });
+  }
+
+  async subscribe(topic, groupId, handler) {
+    const consumer = this.kafka.consumer({ groupId });
+    await consumer.connect();
+    await consumer.subscribe({ topic });
+    this.consumers.push(consumer);
+
+    // kafkajs retries the message if the handler throws
+    await consumer.run({
+      eachMessage: async ({ message }) => {
+        await handler(JSON.parse(message.value.toString()), {
+          topic,
+          key: message.key?.toString(),
+        });
+      },
+    });
+  }
+
+  async disconnect() {
+    for (const consumer of this.consumers) {
+      await consumer.disconnect();
+    }
+    await this.admin?.disconnect();
+    await this.producer?.disconnect();
+  }
+}
+
+module.exports = KafkaBroker;
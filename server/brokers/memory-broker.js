@@ -0,0 +1,142 @@
+const logger = require("../logger");
+
+// In-process broker with Kafka-like semantics: every consumer group gets its
+// own copy of each message, delivered in order. Used for local development and
+// single-node setups, so the pipeline runs without a Kafka cluster.
+class MemoryBroker {
+  constructor({
+    maxAttempts = 3,
+    retryDelayMs = 100,
+    maxDeadLetters = 1000,
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxDeadLetters = maxDeadLetters;
+    this.topics = new Map(); // topic -> { pending: [], groups: Map }
+    this.draining = new Set(); // In-flight drain promises
+    this.deadLetters = []; // Messages a group ran out of attempts on, newest last
+  }
+
+  async connect() {}
+
+  async ping() {}
+
+  getTopic(topic) {
+    if (!this.topics.has(topic)) {
+      this.topics.set(topic, { pending: [], groups: new Map() });
+    }
+    return this.topics.get(topic);
+  }
+
+  async publish(topic, key, value) {
+    const entry = this.getTopic(topic);
+
+    // Hold messages until the first group subscribes, like a retained log
+    if (entry.groups.size === 0) {
+      entry.pending.push({ key, value });
+      return;
+    }
+
+    for (const group of entry.groups.values()) {
+      group.queue.push({ key, value });
+      this.drain(group);
+    }
+  }
+
+  async subscribe(topic, groupId, handler) {
+    const entry = this.getTopic(topic);
+    if (entry.groups.has(groupId)) {
+      throw new Error(`Group ${groupId} is already subscribed to ${topic}`);
+    }
+
+    const group = {
+      topic,
+      groupId,
+      handler,
+      queue: entry.pending,
+      busy: false,
+    };
+    entry.pending = [];
+    entry.groups.set(groupId, group);
+    this.drain(group);
+  }
+
+  // Deliver queued messages one at a time, retrying failures a few times
+  drain(group) {
+    if (group.busy || group.queue.length === 0) {
+      return;
+    }
+    group.busy = true;
+
+    const run = (async () => {
+      // Let the publisher carry on before handlers run
+      await new Promise((resolve) => setImmediate(resolve));
+
+      while (group.queue.length > 0) {
+        const { key, value } = group.queue.shift();
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+          try {
+            await group.handler(value, { topic: group.topic, key });
+            break;
+          } catch (error) {
+            if (attempt === this.maxAttempts) {
+              this.deadLetter(group, key, value, error);
+              break;
+            }
+            logger.warn("Processor failed, retrying", {
+              groupId: group.groupId,
+              topic: group.topic,
+              attempt,
+              maxAttempts: this.maxAttempts,
+              error: error.message,
+            });
+            await new Promise((resolve) =>
+              setTimeout(resolve, this.retryDelayMs * attempt)
+            );
+          }
+        }
+      }
+
+      group.busy = false;
+    })();
+
+    this.draining.add(run);
+    run.finally(() => this.draining.delete(run));
+  }
+
+  // Out of attempts: log the message and keep it for inspection rather
+  // than dropping it silently
+  deadLetter(group, key, value, error) {
+    logger.error("Processor gave up on message", {
+      groupId: group.groupId,
+      topic: group.topic,
+      key,
+      messageId: value?.id,
+      attempts: this.maxAttempts,
+      error,
+    });
+
+    this.deadLetters.push({
+      groupId: group.groupId,
+      topic: group.topic,
+      key,
+      value,
+      error: error.message,
+      failedAt: new Date().toISOString(),
+    });
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.shift();
+    }
+  }
+
+  // Wait for queued messages to be handled before shutting down
+  async disconnect() {
+    while (this.draining.size > 0) {
+      await Promise.all(this.draining);
+    }
+    this.topics.clear();
+  }
+}
+
+module.exports = MemoryBroker;
@@ -1,11 +1,201 @@
+const path = require("path");
+
 module.exports = {
   PORT: process.env.PORT || 3001,
+  // Identifies this instance in Redis events, logs and metrics
+  SERVER_ID:
+    process.env.SERVER_ID ||
+    `server-${Math.random().toString(36).substr(2, 5)}`,
   REDIS_URL: process.env.REDIS_URL || "redis://localhost:6379",
   CLIENT_URL:
     process.env.CLIENT_URL ||
     process.env.RENDER_EXTERNAL_URL ||
     "http://localhost:3000",
 
+  // Structured logging: JSON lines at LOG_LEVEL ("debug", "info", "warn",
+  // "error") and above
+  LOG_LEVEL: process.env.LOG_LEVEL || "info",
+
+  // Authentication
+  // AUTH_SECRET must be set in production; the fallback is for local dev only
+  AUTH_SECRET: process.env.AUTH_SECRET || "dev-only-insecure-secret",
+  TOKEN_TTL: process.env.TOKEN_TTL || "12h",
+  STAFF_FILE: process.env.STAFF_FILE || path.join(__dirname, "data/staff.json"),
+
+  // Room registry (metadata and access rules per room)
+  ROOMS_FILE: process.env.ROOMS_FILE || path.join(__dirname, "data/rooms.json"),
+
+  // Message persistence
+  // MESSAGE_STORE selects the adapter: "memory" (default), "sqlite" or "mysql"
+  MESSAGE_STORE: process.env.MESSAGE_STORE || "memory",
+  HISTORY_LIMIT: parseInt(process.env.HISTORY_LIMIT, 10) || 50,
+  MAX_HISTORY_PAGE: 100,
+  MAX_SEARCH_RESULTS: 50,
+  SQLITE_PATH: process.env.SQLITE_PATH || "./data/hospital-chat.db",
+  MYSQL_CONFIG: {
+    host: process.env.DB_HOST || "localhost",
+    user: process.env.DB_USER || "root",
+    password: process.env.DB_PASSWORD || "",
+    database: process.env.DB_NAME || "hospital_chat",
+  },
+
+  // Attachments
+  // ATTACHMENT_STORE selects the backend: "local" (default) or "s3"
+  ATTACHMENT_STORE: process.env.ATTACHMENT_STORE || "local",
+  ATTACHMENTS_DIR: process.env.ATTACHMENTS_DIR || "./data/attachments",
+  S3_CONFIG: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT, // For S3-compatible services
+    prefix: process.env.S3_PREFIX || "attachments/",
+  },
+  MAX_ATTACHMENT_BYTES:
+    parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024,
+  ATTACHMENT_TYPES: [
+    "image/jpeg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+    "application/pdf",
+  ],
+  ATTACHMENT_URL_TTL: "5m", // Lifetime of signed download links
+  // Uploads not sent in a message within this long are deleted
+  ATTACHMENT_ORPHAN_TTL_MS:
+    parseInt(process.env.ATTACHMENT_ORPHAN_TTL_MS, 10) || 24 * 60 * 60 * 1000,
+  THUMBNAIL_SIZE: 320,
+
+  // Message pipeline
+  // MESSAGE_BROKER selects the adapter: "memory" (default, in-process) or "kafka"
+  MESSAGE_BROKER: process.env.MESSAGE_BROKER || "memory",
+  KAFKA_BROKERS: (process.env.KAFKA_BROKERS || "localhost:9092").split(","),
+  KAFKA_CLIENT_ID: process.env.KAFKA_CLIENT_ID || "hospital-chat",
+  CHAT_TOPIC: process.env.CHAT_TOPIC || "chat-messages",
+
+  // Patient identifiers (MRN or encounter ID) messages can be tagged with
+  MRN_PATTERN: /^[A-Z0-9][A-Z0-9-]{2,31}$/,
+
+  // PHI content policy. Rooms override these per rule with `phiPolicy` in
+  // the rooms file; flagged sends are kept in a capped compliance log
+  PHI_ACTIONS: ["allow", "warn", "redact", "block"],
+  PHI_DEFAULT_POLICY: {
+    ssn: "block",
+    phone: "redact",
+    email: "warn",
+    dob: "warn",
+  },
+  COMPLIANCE_LOG_MAX: 10000,
+
+  // Audit log: most entries per query page and per export
+  AUDIT_PAGE_LIMIT: 1000,
+  AUDIT_EXPORT_LIMIT: 10000,
+
+  // Message priorities and STAT escalation
+  MESSAGE_PRIORITIES: ["routine", "urgent", "stat"],
+  // Emoji reactions and one-tap standard replies users can put on a message
+  REACTIONS: ["👍", "❤️", "✅", "👀", "🙏"],
+  QUICK_REPLIES: ["On my way", "Acknowledged", "Call me"],
+  // Message types clients may send (others are reserved for the server)
+  CLIENT_MESSAGE_TYPES: ["text", "attachment"],
+  STAT_ACK_TIMEOUT_MS: parseInt(process.env.STAT_ACK_TIMEOUT_MS, 10) || 120000,
+  STAT_MAX_REMINDERS: parseInt(process.env.STAT_MAX_REMINDERS, 10) || 3,
+  ESCALATION_ROOM_ID: process.env.ESCALATION_ROOM_ID || "on-call",
+
+  // Presence: servers refresh their sockets' presence every heartbeat, and
+  // entries not refreshed within the TTL (e.g. from a crashed server) expire
+  PRESENCE_STATUSES: ["online", "away", "busy", "in-procedure"],
+  PRESENCE_HEARTBEAT_MS: 20000,
+  PRESENCE_TTL_MS: 60000,
+  PRESENCE_STATUS_TTL: 12 * 60 * 60, // Seconds; statuses lapse after a shift
+
+  // @mentions: most handles resolved per message, and how many mentions
+  // are held (and for how long, in seconds) for staff who are offline
+  MAX_MENTIONS_PER_MESSAGE: 10,
+  MAX_MENTION_RECIPIENTS: 25, // Staff one message's mentions may reach
+  MENTION_QUEUE_MAX: 100,
+  MENTION_QUEUE_TTL: 7 * 24 * 60 * 60,
+
+  // Outbound webhooks: events other systems can subscribe to. A failed
+  // delivery is retried with the delay doubling from WEBHOOK_RETRY_BASE_MS,
+  // then moved to a capped dead-letter list.
+  WEBHOOK_EVENTS: [
+    "new_message",
+    "stat_message",
+    "user_joined",
+    "user_left",
+    "message_acknowledged",
+    "message_escalated",
+    "message_edited",
+    "message_deleted",
+    "mention",
+  ],
+  WEBHOOK_TIMEOUT_MS: 5000,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  WEBHOOK_RETRY_BASE_MS:
+    parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000,
+  WEBHOOK_CACHE_MS: 10000, // How long a server reuses the registry it read
+  WEBHOOK_DEAD_LETTER_MAX: 1000,
+
+  // Inbound HL7 v2 / FHIR bridge. Interface engines authenticate with
+  // INTEGRATION_API_KEY (the endpoints are off without it); the rules file
+  // maps units to rooms and says which events become which alerts.
+  INTEGRATION_API_KEY: process.env.INTEGRATION_API_KEY || null,
+  CLINICAL_ALERT_RULES_FILE:
+    process.env.CLINICAL_ALERT_RULES_FILE ||
+    path.join(__dirname, "data/clinical-alerts.json"),
+  CLINICAL_ALERT_SENDER: "Clinical Alerts", // userName alerts are posted as
+  MAX_INTEGRATION_BODY: "1mb",
+
+  // Largest direct/group conversation, including its creator
+  MAX_GROUP_SIZE: 8,
+
+  // Most rooms and conversations one socket can be joined to at once
+  MAX_ROOMS_PER_SOCKET: 20,
+
+  // How long a dropped connection's rooms are held for it to resume
+  RESUME_GRACE_MS: parseInt(process.env.RESUME_GRACE_MS, 10) || 30000,
+
+  // Reliable delivery: how long idempotency keys are remembered (seconds),
+  // and the most missed messages replayed on reconnect before the client
+  // falls back to reloading the room
+  DEDUP_TTL: 24 * 60 * 60,
+  MAX_REPLAY_MESSAGES: 200,
+
+  // Longest message content, for sends and edits
+  MAX_MESSAGE_LENGTH: 500,
+
+  // Retention: rooms with `retentionDays` in the rooms file have older
+  // messages purged. One server per interval runs the job.
+  RETENTION_INTERVAL_MS:
+    parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 60 * 60 * 1000,
+
+  // Rate limits per socket event: a token bucket per user, shared by all
+  // their sockets and servers, and for sends one per room as well. Users who
+  // hit their limits too often within the window are muted.
+  RATE_LIMITS: {
+    send_message: {
+      user: { capacity: 10, perSecond: 1 },
+      room: { capacity: 60, perSecond: 10 },
+    },
+    typing_start: { user: { capacity: 10, perSecond: 2 } },
+    join_room: { user: { capacity: 30, perSecond: 1 } },
+    react_message: { user: { capacity: 20, perSecond: 2 } },
+  },
+  MUTE_AFTER_VIOLATIONS: 10,
+  MUTE_VIOLATION_WINDOW_MS: 60000,
+  MUTE_DURATION_MS: parseInt(process.env.MUTE_DURATION_MS, 10) || 5 * 60000,
+
+  // Largest batch of message IDs accepted in one receipt event
+  MAX_RECEIPT_BATCH: 100,
+
+  // Health checks and graceful shutdown. On SIGTERM readiness fails for
+  // DRAIN_DELAY_MS (so load balancers stop routing here) before sockets are
+  // told to reconnect elsewhere, within DRAIN_RECONNECT_WINDOW_MS of each
+  // other. Shutdown is forced after SHUTDOWN_TIMEOUT_MS.
+  HEALTH_CHECK_TIMEOUT_MS: 2000,
+  DRAIN_DELAY_MS: parseInt(process.env.DRAIN_DELAY_MS, 10) || 0,
+  DRAIN_RECONNECT_WINDOW_MS: 5000,
+  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000,
+
   // WebSocket configuration
   WEBSOCKET_CONFIG: {
     cors: {
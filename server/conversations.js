@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const config = require("./config");
+const logger = require("./logger");
+
+// Direct messages and small ad-hoc group threads. Conversations are rooms
+// like any other (same `room:<id>` Redis channels and message store), with
+// a fixed participant list stored in Redis so every server can check access.
+class ConversationManager {
+  constructor(redisManager, staffDirectory) {
+    this.redisManager = redisManager;
+    this.staffDirectory = staffDirectory;
+    this.cache = new Map(); // Participants never change, so cache forever
+  }
+
+  // Same participants (and title, for groups) always give the same ID,
+  // so opening a DM twice returns the existing conversation
+  static conversationId(participantIds, title) {
+    const sorted = [...new Set(participantIds)].sort();
+    const kind = sorted.length === 2 ? "dm" : "grp";
+    const key =
+      kind === "dm" ? sorted.join("|") : `${sorted.join("|")}#${title || ""}`;
+    const hash = crypto.createHash("sha256").update(key).digest("hex");
+    return `${kind}-${hash.substring(0, 20)}`;
+  }
+
+  static isConversationId(roomId) {
+    return /^(dm|grp)-[0-9a-f]{20}$/.test(roomId);
+  }
+
+  // Create (or return the existing) conversation between the creator and
+  // the given staff. Throws an Error with a user-facing message if invalid.
+  async create(creator, participantIds, title) {
+    const ids = [...new Set([creator.userId, ...(participantIds || [])])];
+
+    if (ids.length < 2) {
+      throw new Error("A conversation needs at least one other participant");
+    }
+    if (ids.length > config.MAX_GROUP_SIZE) {
+      throw new Error(
+        `Group conversations are limited to ${config.MAX_GROUP_SIZE} people`
+      );
+    }
+
+    const participants = ids.map((id) => this.staffDirectory.getById(id));
+    if (participants.some((p) => !p)) {
+      throw new Error("Unknown participant");
+    }
+
+    const kind = ids.length === 2 ? "direct" : "group";
+    const cleanTitle =
+      kind === "group" && title ? String(title).trim().slice(0, 80) : null;
+    const id = ConversationManager.conversationId(ids, cleanTitle);
+
+    const existing = await this.get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const conversation = {
+      id,
+      kind,
+      title: cleanTitle,
+      participantIds: ids,
+      participants: participants.map(({ userId, userName }) => ({
+        userId,
+        userName,
+      })),
+      createdBy: creator.userId,
+      createdAt: new Date().toISOString(),
+    };
+
+    const stored = await this.redisManager.storeConversation(conversation);
+    if (!stored) {
+      throw new Error("Failed to create conversation");
+    }
+
+    this.cache.set(id, conversation);
+    logger.info("Conversation opened", {
+      userId: creator.userId,
+      kind,
+      conversationId: id,
+    });
+
+    return conversation;
+  }
+
+  async get(conversationId) {
+    if (!ConversationManager.isConversationId(conversationId)) {
+      return null;
+    }
+
+    if (!this.cache.has(conversationId)) {
+      const conversation =
+        await this.redisManager.getConversation(conversationId);
+      if (!conversation) {
+        return null;
+      }
+      this.cache.set(conversationId, conversation);
+    }
+
+    return this.cache.get(conversationId);
+  }
+
+  // The user's conversations with their unread counts
+  async listForUser(userId) {
+    const [ids, unread] = await Promise.all([
+      this.redisManager.getUserConversationIds(userId),
+      this.redisManager.getUnreadCounts(userId),
+    ]);
+
+    const conversations = await Promise.all(ids.map((id) => this.get(id)));
+
+    return conversations
+      .filter(Boolean)
+      .map((conversation) => ({
+        ...conversation,
+        unreadCount: unread[conversation.id] || 0,
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Count a new message as unread for everyone but its sender
+  async recordMessage(conversation, message) {
+    for (const userId of conversation.participantIds) {
+      if (userId !== message.userId) {
+        await this.redisManager.incrementUnread(userId, conversation.id);
+      }
+    }
+  }
+
+  async markRead(userId, conversationId) {
+    await this.redisManager.resetUnread(userId, conversationId);
+  }
+
+  // Room registry view of a conversation: private to its participants
+  static toRoom(conversation) {
+    return {
+      id: conversation.id,
+      name:
+        conversation.title ||
+        conversation.participants.map((p) => p.userName).join(", "),
+      department: null,
+      allowedRoles: [],
+      postRoles: [],
+      private: true,
+      members: conversation.participantIds,
+    };
+  }
+}
+
+module.exports = ConversationManager;
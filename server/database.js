@@ -1,63 +1,463 @@
-const mysql = require("mysql2/promise");
-
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || "localhost",
-  user: process.env.DB_USER || "root",
-  password: process.env.DB_PASSWORD || "",
-  database: process.env.DB_NAME || "hospital_chat",
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-});
+const config = require("./config");
+const logger = require("./logger");
+const MemoryStore = require("./stores/memory-store");
+const SqliteStore = require("./stores/sqlite-store");
+const MySqlStore = require("./stores/mysql-store");
+
+// Pick the message store adapter configured for this deployment
+function createStore(type) {
+  switch (type) {
+    case "memory":
+      return new MemoryStore();
+    case "sqlite":
+      return new SqliteStore(config.SQLITE_PATH);
+    case "mysql":
+      return new MySqlStore(config.MYSQL_CONFIG);
+    default:
+      throw new Error(`Unknown message store: ${type}`);
+  }
+}
+
+const store = createStore(config.MESSAGE_STORE);
+let storeReady = null;
+
+// Initialize the store once; every call below waits for it
+function initStore() {
+  if (!storeReady) {
+    storeReady = store.init().then(() => {
+      logger.info("Message store ready", { store: config.MESSAGE_STORE });
+      return store;
+    });
+  }
+  return storeReady;
+}
 
 async function storeMessage(message) {
   try {
-    await pool.execute(
-      "INSERT INTO messages (id, room_id, user_id, user_name, content, message_type, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
-      [
-        message.id,
-        message.roomId,
-        message.userId,
-        message.userName,
-        message.content,
-        message.type,
-        message.timestamp,
-      ]
-    );
+    await initStore();
+    await store.storeMessage(message);
   } catch (error) {
-    console.error("Error storing message:", error);
+    logger.error("Error storing message", { error });
     throw error;
   }
 }
 
-async function getRecentMessages(roomId, limit = 50) {
+// History cursors are opaque to clients: base64url of [timestamp, id]
+function encodeCursor(message) {
+  return Buffer.from(JSON.stringify([message.timestamp, message.id])).toString(
+    "base64url"
+  );
+}
+
+// Returns { timestamp, id } or null if the cursor is malformed
+function decodeCursor(cursor) {
   try {
-    const [rows] = await pool.execute(
-      "SELECT * FROM messages WHERE room_id = ? ORDER BY created_at DESC LIMIT ?",
-      [roomId, limit]
+    const [timestamp, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
     );
-    return rows.reverse(); // Return in chronological order
+    if (typeof id !== "string" || isNaN(Date.parse(timestamp))) {
+      return null;
+    }
+    return { timestamp: new Date(timestamp).toISOString(), id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Page of messages older than `before` (a decoded cursor), oldest first.
+// `nextCursor` points at the oldest message returned, or is null at the start.
+async function getRecentMessages(
+  roomId,
+  limit = config.HISTORY_LIMIT,
+  before = null
+) {
+  try {
+    await initStore();
+
+    // Fetch one extra row to know whether anything older remains
+    const messages = await store.getRecentMessages(roomId, {
+      limit: limit + 1,
+      before,
+    });
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.shift();
+    }
+
+    return {
+      messages,
+      nextCursor: hasMore ? encodeCursor(messages[0]) : null,
+    };
+  } catch (error) {
+    logger.error("Error fetching messages", { error });
+    throw error;
+  }
+}
+
+// A patient's messages across `roomIds`, paged like room history
+async function getPatientMessages(mrn, roomIds, limit, before = null) {
+  try {
+    await initStore();
+
+    const messages = await store.getPatientMessages({
+      mrn,
+      roomIds,
+      limit: limit + 1,
+      before,
+    });
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.shift();
+    }
+
+    return {
+      messages,
+      nextCursor: hasMore ? encodeCursor(messages[0]) : null,
+    };
+  } catch (error) {
+    logger.error("Error fetching patient messages", { error });
+    throw error;
+  }
+}
+
+async function listPatientThreads(roomId) {
+  try {
+    await initStore();
+    return await store.listPatientThreads(roomId);
+  } catch (error) {
+    logger.error("Error listing patient threads", { error });
+    throw error;
+  }
+}
+
+async function getMessage(messageId) {
+  try {
+    await initStore();
+    return await store.getMessage(messageId);
+  } catch (error) {
+    logger.error("Error fetching message", { error });
+    throw error;
+  }
+}
+
+// Merge extra fields (acknowledgements, ...) into a stored message
+async function updateMessageMetadata(messageId, patch) {
+  try {
+    await initStore();
+    return await store.updateMessageMetadata(messageId, patch);
+  } catch (error) {
+    logger.error("Error updating message", { error });
+    throw error;
+  }
+}
+
+// Replace a message's content and record the old version as a revision.
+// `change` is { content, patch, action, replacedAt, replacedBy }.
+async function reviseMessage(messageId, change) {
+  try {
+    await initStore();
+    return await store.reviseMessage(messageId, change);
+  } catch (error) {
+    logger.error("Error revising message", { error });
+    throw error;
+  }
+}
+
+async function getMessageRevisions(messageId) {
+  try {
+    await initStore();
+    return await store.getMessageRevisions(messageId);
+  } catch (error) {
+    logger.error("Error fetching message revisions", { error });
+    throw error;
+  }
+}
+
+// IDs of the attachments sent with messages purgeMessages would delete
+async function listAttachmentIds(roomId, before) {
+  try {
+    await initStore();
+    return await store.listAttachmentIds(roomId, before);
+  } catch (error) {
+    logger.error("Error listing attachments to purge", { error });
+    throw error;
+  }
+}
+
+// Delete a room's messages older than `before` (an ISO timestamp)
+async function purgeMessages(roomId, before) {
+  try {
+    await initStore();
+    return await store.purgeMessages(roomId, before);
+  } catch (error) {
+    logger.error("Error purging messages", { error });
+    throw error;
+  }
+}
+
+// Page of messages newer than `after` (a decoded cursor), oldest first.
+// `newerCursor` points at the newest message returned, or is null at the end.
+async function getMessagesAfter(roomId, limit, after) {
+  try {
+    await initStore();
+
+    const messages = await store.getMessagesAfter(roomId, {
+      limit: limit + 1,
+      after,
+    });
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.pop();
+    }
+
+    return {
+      messages,
+      newerCursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null,
+    };
+  } catch (error) {
+    logger.error("Error fetching newer messages", { error });
+    throw error;
+  }
+}
+
+// Messages a reconnecting client missed: those with a sequence number above
+// `afterSeq`, in order. `hasMore` is set if there were more than `limit`.
+async function getMessagesSince(roomId, afterSeq, limit) {
+  try {
+    await initStore();
+
+    const messages = await store.getMessagesSince(roomId, {
+      afterSeq,
+      limit: limit + 1,
+    });
+    const hasMore = messages.length > limit;
+    if (hasMore) {
+      messages.pop();
+    }
+
+    return { messages, hasMore };
+  } catch (error) {
+    logger.error("Error fetching missed messages", { error });
+    throw error;
+  }
+}
+
+// A window of messages around `messageId`, for jumping to a search result.
+// Returns null if the message doesn't exist in that room.
+async function getMessageContext(roomId, messageId, limit) {
+  try {
+    await initStore();
+
+    const message = await store.getMessage(messageId);
+    if (!message || message.roomId !== roomId) {
+      return null;
+    }
+
+    const cursor = { timestamp: message.timestamp, id: message.id };
+    const half = Math.max(1, Math.floor(limit / 2));
+    const older = await getRecentMessages(roomId, half, cursor);
+    const newer = await getMessagesAfter(roomId, half, cursor);
+
+    return {
+      messages: [...older.messages, message, ...newer.messages],
+      nextCursor: older.nextCursor,
+      newerCursor: newer.newerCursor,
+    };
+  } catch (error) {
+    logger.error("Error fetching message context", { error });
+    throw error;
+  }
+}
+
+// Short excerpt of `content` around the first matching term, with the
+// [start, end) offsets of every term occurrence inside the excerpt
+function buildSnippet(content, terms, radius = 60) {
+  const lowerContent = content.toLowerCase();
+  const lowerTerms = terms.map((term) => term.toLowerCase());
+
+  const firstMatch = Math.min(
+    ...lowerTerms
+      .map((term) => lowerContent.indexOf(term))
+      .filter((index) => index >= 0),
+    Infinity
+  );
+  const start = firstMatch === Infinity ? 0 : Math.max(0, firstMatch - radius);
+  const end = Math.min(content.length, start + radius * 3);
+  const excerpt = content.slice(start, end);
+  const lowerExcerpt = excerpt.toLowerCase();
+
+  const highlights = [];
+  for (const term of lowerTerms) {
+    let index = lowerExcerpt.indexOf(term);
+    while (index >= 0) {
+      highlights.push([index, index + term.length]);
+      index = lowerExcerpt.indexOf(term, index + term.length);
+    }
+  }
+
+  // Merge overlapping ranges so the client can render them in one pass
+  highlights.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of highlights) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+  }
+
+  return {
+    text: excerpt,
+    highlights: merged,
+    truncatedStart: start > 0,
+    truncatedEnd: end < content.length,
+  };
+}
+
+// Search the given rooms, newest first. Options: from, to (Dates), author, limit
+async function searchMessages(roomIds, query, options = {}) {
+  const { from = null, to = null, author = null, limit = 20 } = options;
+  const terms = query.split(/\s+/).filter(Boolean);
+
+  try {
+    await initStore();
+    const messages = await store.searchMessages({
+      roomIds,
+      query,
+      terms,
+      from,
+      to,
+      author,
+      limit,
+    });
+
+    return messages.map((message) => ({
+      ...message,
+      snippet: buildSnippet(message.content, terms),
+    }));
   } catch (error) {
-    console.error("Error fetching messages:", error);
+    logger.error("Error searching messages", { error });
     throw error;
   }
 }
 
-async function searchMessages(roomId, query, limit = 20) {
+async function appendAuditEntry(entry) {
   try {
-    const [rows] = await pool.execute(
-      "SELECT * FROM messages WHERE room_id = ? AND MATCH(content) AGAINST(? IN NATURAL LANGUAGE MODE) ORDER BY created_at DESC LIMIT ?",
-      [roomId, query, limit]
+    await initStore();
+    await store.appendAuditEntry(entry);
+  } catch (error) {
+    logger.error("Error appending audit entry", { error });
+    throw error;
+  }
+}
+
+async function getLastAuditEntry(chainId) {
+  try {
+    await initStore();
+    return await store.getLastAuditEntry(chainId);
+  } catch (error) {
+    logger.error("Error fetching audit chain head", { error });
+    throw error;
+  }
+}
+
+async function getAuditChain(chainId, afterSeq, limit) {
+  try {
+    await initStore();
+    return await store.getAuditChain(chainId, { afterSeq, limit });
+  } catch (error) {
+    logger.error("Error fetching audit chain", { error });
+    throw error;
+  }
+}
+
+async function listAuditChains() {
+  try {
+    await initStore();
+    return await store.listAuditChains();
+  } catch (error) {
+    logger.error("Error listing audit chains", { error });
+    throw error;
+  }
+}
+
+// Page of audit entries matching `filters` (userId, roomId, action, from, to
+// as ISO strings), newest first; `before` is a decoded cursor
+async function queryAuditLog(filters, limit, before = null) {
+  try {
+    await initStore();
+
+    const entries = await store.queryAuditEntries(
+      { ...filters, before },
+      limit + 1
     );
-    return rows;
+    const hasMore = entries.length > limit;
+    if (hasMore) {
+      entries.pop();
+    }
+
+    return {
+      entries,
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1]) : null,
+    };
   } catch (error) {
-    console.error("Error searching messages:", error);
+    logger.error("Error querying audit log", { error });
     throw error;
   }
 }
 
+// Readiness of the store, in the same shape as the Redis health check
+async function healthCheck() {
+  try {
+    await initStore();
+    await store.ping();
+    return {
+      status: "healthy",
+      store: config.MESSAGE_STORE,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (error) {
+    return {
+      status: "unhealthy",
+      store: config.MESSAGE_STORE,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+async function closeStore() {
+  try {
+    await store.close();
+  } catch (error) {
+    logger.error("Error closing message store", { error });
+  }
+}
+
 module.exports = {
+  initStore,
   storeMessage,
   getRecentMessages,
+  getMessage,
+  updateMessageMetadata,
+  reviseMessage,
+  getMessageRevisions,
+  listAttachmentIds,
+  purgeMessages,
+  getMessagesAfter,
+  getMessagesSince,
+  getPatientMessages,
+  listPatientThreads,
+  getMessageContext,
   searchMessages,
+  appendAuditEntry,
+  getLastAuditEntry,
+  getAuditChain,
+  listAuditChains,
+  queryAuditLog,
+  encodeCursor,
+  decodeCursor,
+  healthCheck,
+  closeStore,
 };
@@ -1,9 +1,42 @@
 const express = require("express");
+const multer = require("multer");
 const http = require("http");
 const socketIo = require("socket.io");
 const path = require("path");
 const config = require("./config");
+const logger = require("./logger");
+const metrics = require("./metrics");
 const RedisManager = require("./redis-manager");
+const database = require("./database");
+const { StaffDirectory } = require("./staff-directory");
+const RoomRegistry = require("./room-registry");
+const StatEscalationManager = require("./stat-escalation");
+const ConversationManager = require("./conversations");
+const SessionManager = require("./sessions");
+const AuditLog = require("./audit");
+const RetentionJob = require("./retention");
+const RateLimiter = require("./rate-limiter");
+const OnCallRoster = require("./oncall-roster");
+const MentionManager = require("./mentions");
+const { WebhookDispatcher } = require("./webhooks");
+const AlertRules = require("./integrations/alert-rules");
+const hl7 = require("./integrations/hl7");
+const fhir = require("./integrations/fhir");
+const attachments = require("./attachments");
+const { normalizeMrn, patientThreadId } = require("./patients");
+const { applyPhiPolicy } = require("./phi-filter");
+const pipeline = require("./kafka");
+const createNotificationProcessor = require("./processors/notifications");
+const createAnalyticsProcessor = require("./processors/analytics");
+const {
+  issueToken,
+  socketAuthMiddleware,
+  requireAuth,
+  requireRole,
+  requireIntegrationKey,
+  issueDownloadToken,
+  verifyDownloadToken,
+} = require("./auth");
 
 // Initialize Express app
 const app = express();
@@ -15,41 +48,77 @@ const io = socketIo(server, config.WEBSOCKET_CONFIG);
 // Initialize Redis manager
 const redisManager = new RedisManager();
 
+// Staff accounts used for login
+const staffDirectory = new StaffDirectory();
+
+// Direct messages and group threads
+const conversations = new ConversationManager(redisManager, staffDirectory);
+
+// Room metadata and access rules; conversations are resolved from Redis
+const roomRegistry = new RoomRegistry(undefined, async (roomId) => {
+  const conversation = await conversations.get(roomId);
+  return conversation ? ConversationManager.toRoom(conversation) : null;
+});
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "../public")));
 
+// Each request gets a correlation ID (the caller's X-Request-Id, if it's a
+// sane one), returned in the response and carried by its logs
+app.use((req, res, next) => {
+  const requestId = req.get("x-request-id");
+  const correlationId = /^[\w.-]{1,100}$/.test(requestId || "")
+    ? requestId
+    : require("uuid").v4();
+  res.set("X-Request-Id", correlationId);
+  logger.runWithContext({ correlationId }, next);
+});
+
+app.use(express.json());
+
 // In-memory storage for active connections on this server instance
 const activeConnections = new Map();
 const subscribedRooms = new Set(); // Track which rooms this server is subscribed to
+const pendingCleanups = new Set(); // Disconnect handlers still running
+
+// Set on shutdown: readiness fails and new sockets are turned away
+let draining = false;
 
 // Server instance ID for debugging multi-server scenarios
-const SERVER_ID =
-  process.env.SERVER_ID || `server-${Math.random().toString(36).substr(2, 5)}`;
-console.log(`🚀 Server instance ID: ${SERVER_ID}`);
+const SERVER_ID = config.SERVER_ID;
 
 async function setupRedisMessageHandler() {
   redisManager.subscriber.on("message", (channel, message) => {
     try {
-      const data = JSON.parse(message);
+      // The publisher's correlation ID is for the logs, not for clients
+      const { correlationId, ...data } = JSON.parse(message);
+
+      // Events for specific users go to their sockets on every server
+      if (channel === "users") {
+        for (const userId of data.userIds) {
+          io.to(`user:${userId}`).emit(data.event, data.payload);
+        }
+        return;
+      }
+
       const roomId = channel.split(":")[1];
 
-      // Don't process messages from this server instance
+      // Don't relay messages from this server instance (its clients already
+      // have them)
       if (data.serverId === SERVER_ID) {
         return;
       }
 
-      console.log(
-        `📨 Received ${data.type || "message"} from ${
-          data.serverId
-        } for room ${roomId}`
-      );
+      logger.debug("Relaying room event", {
+        correlationId,
+        roomId,
+        type: data.type,
+        fromServer: data.serverId,
+      });
 
       // Handle different message types properly
       switch (data.type) {
         case "user_joined":
-          console.log(
-            `🔄 Relaying user_joined: ${data.userName} to room ${roomId}`
-          );
           io.to(roomId).emit("user_joined", {
             userId: data.userId,
             userName: data.userName,
@@ -59,9 +128,6 @@ async function setupRedisMessageHandler() {
           break;
 
         case "user_left":
-          console.log(
-            `🔄 Relaying user_left: ${data.userName} from room ${roomId}`
-          );
           io.to(roomId).emit("user_left", {
             userId: data.userId,
             userName: data.userName,
@@ -72,9 +138,6 @@ async function setupRedisMessageHandler() {
           break;
 
         case "room_info":
-          console.log(
-            `🔄 Relaying room_info for room ${roomId}: ${data.userCount} users`
-          );
           io.to(roomId).emit("room_info", {
             roomId: data.roomId,
             userCount: data.userCount,
@@ -82,65 +145,535 @@ async function setupRedisMessageHandler() {
           });
           break;
 
+        case "message_acknowledged":
+        case "message_escalated":
+        case "message_edited":
+        case "message_deleted":
+        case "message_reactions":
+        case "presence_update":
+        case "receipt_update":
+          io.to(roomId).emit(data.type, data);
+          break;
+
         case "user_typing":
-          console.log(
-            `🔄 Relaying typing: ${data.userName} (${
-              data.isTyping ? "started" : "stopped"
-            }) in room ${roomId}`
-          );
           io.to(roomId).emit("user_typing", {
             userId: data.userId,
             userName: data.userName,
+            roomId: data.roomId,
             isTyping: data.isTyping,
           });
           break;
 
         default:
           // Regular chat message
-          console.log(
-            `🔄 Relaying message from ${data.userName} to room ${roomId}`
-          );
+          metrics.messagesRelayed.inc({ room: metrics.roomLabel(roomId) });
           io.to(roomId).emit("new_message", data);
           break;
       }
     } catch (error) {
-      console.error("Error processing Redis message:", error);
+      logger.error("Error processing Redis message", { channel, error });
+    }
+  });
+}
+
+// Store a chat message, hand it to the processing pipeline (notifications,
+// analytics), publish it to every server and deliver it locally.
+// Returns false if the message could not be stored; once it is, the send
+// has succeeded.
+async function deliverMessage(message) {
+  // Per-room sequence numbers let reconnecting clients ask for what they missed
+  message.seq = await redisManager.nextRoomSequence(message.roomId);
+
+  // Stored before anyone hears of it, so it can be acknowledged, edited and
+  // replayed as soon as the sender gets their ack
+  try {
+    await database.storeMessage(message);
+  } catch (error) {
+    return false; // Logged by the store
+  }
+
+  // Processors only add side effects, which a broker outage shouldn't block
+  try {
+    await pipeline.publishMessage(config.CHAT_TOPIC, message);
+  } catch (error) {
+    // Logged by the pipeline
+  }
+  await redisManager.trackMessageReceipts(message);
+
+  // Publish message to Redis (will be received by all server instances).
+  // If that fails, other servers' clients get the message when they next
+  // catch up from the store, and a retried send would only duplicate it.
+  const published = await publishRoomEvent(message.roomId, message);
+  if (!published) {
+    logger.warn("Message stored but not published", {
+      messageId: message.id,
+      roomId: message.roomId,
+    });
+  }
+
+  // Also broadcast to local clients immediately (for better UX)
+  io.to(message.roomId).emit("new_message", message);
+  metrics.messagesSent.inc({
+    room: metrics.roomLabel(message.roomId),
+    priority: message.priority,
+  });
+
+  if (message.priority === "stat" && message.type !== "escalation") {
+    statEscalation.track(message);
+  }
+
+  return true;
+}
+
+// Events on room channels other than chat messages, whose `type` is the
+// message type ("text", ...) instead
+const ROOM_EVENT_TYPES = [
+  "user_joined",
+  "user_left",
+  "room_info",
+  "message_acknowledged",
+  "message_escalated",
+  "message_edited",
+  "message_deleted",
+  "message_reactions",
+  "presence_update",
+  "receipt_update",
+  "user_typing",
+];
+
+// Publish a room event to every server and hand it to the webhooks
+// subscribed to it. Webhooks go out here, from the server the event happened
+// on, rather than from the Redis echo, which only arrives for rooms this
+// server has local members in.
+async function publishRoomEvent(roomId, event) {
+  const published = await redisManager.publishToRoom(roomId, event);
+  if (published) {
+    dispatchWebhookEvent(event);
+  }
+  return published;
+}
+
+// Hand a room event to the webhooks subscribed to it, serialized as other
+// servers see it. STAT chat messages go out as both new_message and
+// stat_message.
+function dispatchWebhookEvent(data) {
+  const { serverId, socketId, ...event } = JSON.parse(JSON.stringify(data));
+  const type = ROOM_EVENT_TYPES.includes(event.type)
+    ? event.type
+    : "new_message";
+  const types =
+    type === "new_message" && event.priority === "stat"
+      ? [type, "stat_message"]
+      : [type];
+
+  for (const name of types) {
+    if (config.WEBHOOK_EVENTS.includes(name)) {
+      webhooks
+        .dispatch(name, event)
+        .catch((error) =>
+          logger.error("Error dispatching webhook", { event: name, error })
+        );
     }
+  }
+}
+
+// Publish a non-message room event to every server and emit it locally
+// as a Socket.IO event of the same name
+async function broadcastRoomEvent(roomId, type, payload) {
+  const event = {
+    ...payload,
+    type,
+    roomId,
+    serverId: SERVER_ID,
+    timestamp: new Date().toISOString(),
+  };
+
+  await publishRoomEvent(roomId, event);
+  io.to(roomId).emit(type, event);
+}
+
+// Record an acknowledgement and tell the message's room about it
+async function acknowledgeMessage(message, ack) {
+  await redisManager.recordAcknowledgement(message.id, ack);
+  statEscalation.cancel(message.id);
+
+  // Redis holds the authoritative set; keep the stored copy in sync with it
+  const acknowledgements = await redisManager.getAcknowledgements(message.id);
+  await database.updateMessageMetadata(message.id, { acknowledgements });
+
+  await broadcastRoomEvent(message.roomId, "message_acknowledged", {
+    messageId: message.id,
+    acknowledgements,
+  });
+}
+
+// Current receipt summary for a message, as sent in receipt_update events
+async function getReceiptSummary(messageId, info) {
+  const receipts = await redisManager.getReceipts(messageId);
+  return {
+    messageId,
+    senderId: info.senderId,
+    delivered: receipts.delivered,
+    read: receipts.read,
+  };
+}
+
+// Escalation of unacknowledged STAT messages
+const statEscalation = new StatEscalationManager({
+  redisManager,
+  onReminder: (message, attempt) =>
+    broadcastRoomEvent(message.roomId, "message_escalated", {
+      message,
+      attempt,
+    }),
+  onEscalate: (message) =>
+    deliverMessage({
+      id: require("uuid").v4(),
+      userId: "system",
+      userName: "STAT Escalation",
+      roomId: config.ESCALATION_ROOM_ID,
+      content: `Unacknowledged STAT from ${message.userName} in ${message.roomId}: ${message.content}`,
+      type: "escalation",
+      priority: "stat",
+      escalatedFrom: { roomId: message.roomId, messageId: message.id },
+      serverId: SERVER_ID,
+      timestamp: new Date().toISOString(),
+    }),
+});
+
+// Presence heartbeat: keep this server's sockets present in their rooms.
+// If the server dies the entries stop being refreshed and expire.
+const presenceHeartbeat = setInterval(async () => {
+  for (const [socketId, info] of activeConnections) {
+    await redisManager.storeConnection(socketId, info);
+  }
+}, config.PRESENCE_HEARTBEAT_MS);
+
+// Record a flagged send for compliance review. The log holds what was found
+// and what was done about it, never the matched text itself.
+async function logPhiEvent(user, roomId, phi, messageId) {
+  const outcome = phi.blocked
+    ? "blocked"
+    : phi.findings.some((finding) => finding.action === "redact")
+      ? "redacted"
+      : "warned";
+
+  logger.warn(`PHI ${outcome}`, {
+    userId: user.userId,
+    roomId,
+    findings: phi.findings.map(({ type, count }) => ({ type, count })),
+  });
+
+  await redisManager.logComplianceEvent({
+    id: require("uuid").v4(),
+    timestamp: new Date().toISOString(),
+    userId: user.userId,
+    userName: user.userName,
+    roomId,
+    messageId: phi.blocked ? null : messageId,
+    outcome,
+    findings: phi.findings,
+  });
+}
+
+// Publish a user_left event and the updated room info for one room
+async function publishLeave(user, roomId, reason) {
+  metrics.roomLeaves.inc({ room: metrics.roomLabel(roomId) });
+  await publishRoomEvent(roomId, {
+    type: "user_left",
+    userId: user.userId,
+    userName: user.userName,
+    roomId,
+    serverId: SERVER_ID,
+    timestamp: new Date(),
+    reason,
+  });
+
+  const roomStats = await redisManager.getRoomStats(roomId);
+  await publishRoomEvent(roomId, {
+    type: "room_info",
+    roomId,
+    userCount: roomStats.userCount,
+    serverId: SERVER_ID,
+    timestamp: new Date(),
   });
 }
 
+// Subscribe this server to a room's Redis channel if not already subscribed
+async function ensureRoomSubscription(roomId) {
+  if (!subscribedRooms.has(roomId)) {
+    await redisManager.subscribeToRoom(roomId, () => {
+      // Callback handled by main Redis message handler
+    });
+    subscribedRooms.add(roomId);
+  }
+}
+
+// Disconnect reasons that mean the user really left, so no grace period
+const DELIBERATE_DISCONNECTS = [
+  "client namespace disconnect",
+  "server namespace disconnect",
+];
+
+// HIPAA audit trail; this server's entries form their own hash chain
+const audit = new AuditLog({ chainId: SERVER_ID });
+
+const retention = new RetentionJob({
+  roomRegistry,
+  redisManager,
+  audit,
+  serverId: SERVER_ID,
+});
+
+const rateLimiter = new RateLimiter({ redisManager, audit });
+
+const webhooks = new WebhookDispatcher({ redisManager, serverId: SERVER_ID });
+
+const onCallRoster = new OnCallRoster({ redisManager, staffDirectory });
+const mentions = new MentionManager({
+  redisManager,
+  staffDirectory,
+  roomRegistry,
+  onCallRoster,
+  // Pagers want every mention, including ones queued for offline staff
+  onMention: (mention, recipient, queued) =>
+    webhooks
+      .dispatch("mention", {
+        ...mention,
+        mentioned: { userId: recipient.userId, userName: recipient.userName },
+        queued,
+      })
+      .catch((error) =>
+        logger.error("Error dispatching webhook", { event: "mention", error })
+      ),
+});
+
+const alertRules = new AlertRules();
+
+// Dropped connections that aren't resumed in time leave their rooms
+const sessions = new SessionManager({
+  redisManager,
+  onExpire: async (session) => {
+    audit.record("session_expired", session, {
+      details: { rooms: session.rooms },
+    });
+    await redisManager.removeConnection(session.socketId, session.rooms);
+    for (const roomId of session.rooms) {
+      await publishLeave(session, roomId, "timeout");
+    }
+  },
+});
+
+// Turn away new sockets while draining; clients retry and the load
+// balancer sends them to another server
+io.use((socket, next) => {
+  if (draining) {
+    return next(new Error("Server is shutting down"));
+  }
+  next();
+});
+
+// Reject sockets without a valid staff token
+io.use(socketAuthMiddleware);
+
+// Re-attach a resumed session's rooms before any client events are handled
+io.use(async (socket, next) => {
+  const { resumeToken } = socket.handshake.auth || {};
+  if (!resumeToken) {
+    return next();
+  }
+
+  try {
+    const session = await sessions.resume(resumeToken, socket.data.user.userId);
+    if (session) {
+      // Access may have changed while the client was away
+      const rooms = [];
+      for (const roomId of session.rooms) {
+        if (await roomRegistry.checkJoin(socket.data.user, roomId)) {
+          await publishLeave(session, roomId, "access_revoked");
+        } else {
+          await ensureRoomSubscription(roomId);
+          rooms.push(roomId);
+        }
+      }
+      socket.data.resumed = { ...session, rooms };
+      audit.record("session_resumed", socket.data.user, {
+        details: { rooms, revoked: session.rooms.length - rooms.length },
+      });
+    }
+  } catch (error) {
+    // Fall back to a fresh session; the client rejoins its rooms itself
+    logger.error("Error resuming session", { socketId: socket.id, error });
+  }
+  next();
+});
+
 // Connection event handler
 io.on("connection", (socket) => {
-  console.log(
-    `[${new Date().toISOString()}] User connected: ${socket.id} on ${SERVER_ID}`
-  );
+  logger.info("User connected", {
+    socketId: socket.id,
+    userId: socket.data.user.userId,
+  });
+  metrics.socketConnections.inc();
+  metrics.socketConnectionsTotal.inc();
+
+  // Personal Socket.IO room for events addressed to this user
+  socket.join(`user:${socket.data.user.userId}`);
+
+  // Store connection information locally; a socket can be in many rooms
+  const connectionInfo = {
+    userId: socket.data.user.userId,
+    userName: socket.data.user.userName,
+    rooms: new Set(),
+    socketId: socket.id,
+    connectedAt: new Date(),
+    serverId: SERVER_ID,
+  };
+
+  activeConnections.set(socket.id, connectionInfo);
+
+  // Pick up where a dropped connection left off: its rooms were re-checked
+  // and handed over by the middleware above, so nobody sees a leave/rejoin
+  const resumed = socket.data.resumed;
+  let presenceStored;
+  if (resumed) {
+    for (const roomId of resumed.rooms) {
+      connectionInfo.rooms.add(roomId);
+      socket.join(roomId);
+    }
+
+    presenceStored = redisManager
+      .removeConnection(resumed.socketId, resumed.rooms)
+      .then(() => redisManager.storeConnection(socket.id, connectionInfo));
+
+    logger.info("Session resumed", {
+      socketId: socket.id,
+      userId: connectionInfo.userId,
+      rooms: resumed.rooms,
+    });
+  } else {
+    presenceStored = redisManager.storeConnection(socket.id, connectionInfo);
+  }
+
+  // Hand over mentions held while the user was offline. Presence is stored
+  // first, so no new mention is queued after the queue has been read.
+  presenceStored
+    .then(() => mentions.takeQueued(connectionInfo.userId))
+    .then((queued) => {
+      for (const mention of queued) {
+        socket.emit("mention", { ...mention, queued: true });
+      }
+    })
+    .catch((error) =>
+      logger.error("Error delivering queued mentions", {
+        userId: connectionInfo.userId,
+        error,
+      })
+    );
+
+  // A fresh resume token for every connection
+  const resumeToken = sessions.createToken();
+  socket.emit("session", {
+    resumeToken,
+    resumed: Boolean(resumed),
+    rooms: Array.from(connectionInfo.rooms),
+  });
+
+  // Each event gets a correlation ID, which its logs carry (and, through
+  // what it publishes, other servers' logs too)
+  socket.use((packet, next) => {
+    logger.runWithContext(
+      {
+        correlationId: require("uuid").v4(),
+        socketId: socket.id,
+        userId: connectionInfo.userId,
+        event: packet[0],
+      },
+      next
+    );
+  });
+
+  // Flood protection: an event over its budget is dropped, and the client
+  // is told when to retry (through the ack too, if the event has one).
+  // Checks are chained so events are still handled in the order they came.
+  let rateLimitQueue = Promise.resolve();
+  socket.use((packet, next) => {
+    const [event, data] = packet;
+
+    rateLimitQueue = rateLimitQueue
+      .then(() => {
+        // Only joined rooms get a bucket, so clients can't mint Redis keys
+        const roomId = connectionInfo.rooms.has(data?.roomId)
+          ? data.roomId
+          : null;
+        return rateLimiter.check(socket.data.user, event, roomId);
+      })
+      .catch((error) => {
+        logger.error("Error rate limiting event", { error });
+        return null;
+      })
+      .then((limited) => {
+        if (!limited) {
+          next();
+          return;
+        }
+
+        socket.emit("rate_limited", limited);
+        const ack = packet[packet.length - 1];
+        if (typeof ack === "function") {
+          ack({ ok: false, code: "RATE_LIMITED", ...limited });
+        }
+      });
+  });
 
   // Handle user joining a room
   socket.on("join_room", async (userData) => {
     try {
-      const { userId, roomId, userName } = userData;
+      const { roomId, lastSeq } = userData || {};
+      // Identity always comes from the verified token, never from the client
+      const { userId, userName } = socket.data.user;
 
       // Validate input
-      if (!userId || !roomId || !userName) {
+      if (!roomId) {
         socket.emit("error", { message: "Missing required fields" });
         return;
       }
 
-      console.log(
-        `User ${userName} (${userId}) joining room ${roomId} on ${SERVER_ID}`
+      const accessError = await roomRegistry.checkJoin(
+        socket.data.user,
+        roomId
       );
+      if (accessError) {
+        logger.warn("Room access denied", { roomId, reason: accessError });
+        audit.record("join_denied", socket.data.user, {
+          roomId,
+          details: { reason: accessError },
+        });
+        socket.emit("error", {
+          message: accessError,
+          code: "ACCESS_DENIED",
+          roomId,
+        });
+        return;
+      }
 
-      // Store connection information locally
-      const connectionInfo = {
-        userId,
-        roomId,
-        userName,
-        socketId: socket.id,
-        joinedAt: new Date(),
-        serverId: SERVER_ID,
-      };
+      logger.info("Joining room", { roomId });
+
+      // Joining a room the socket is already in just replays its history
+      const alreadyJoined = connectionInfo.rooms.has(roomId);
+
+      if (
+        !alreadyJoined &&
+        connectionInfo.rooms.size >= config.MAX_ROOMS_PER_SOCKET
+      ) {
+        socket.emit("error", {
+          message: `You can be in at most ${config.MAX_ROOMS_PER_SOCKET} rooms at once`,
+          roomId,
+        });
+        return;
+      }
 
-      activeConnections.set(socket.id, connectionInfo);
+      connectionInfo.rooms.add(roomId);
 
       // Store connection in Redis for multi-server awareness
       await redisManager.storeConnection(socket.id, connectionInfo);
@@ -148,13 +681,7 @@ io.on("connection", (socket) => {
       // Join the Socket.IO room locally
       socket.join(roomId);
 
-      // Subscribe this server to the room's Redis channel if not already subscribed
-      if (!subscribedRooms.has(roomId)) {
-        await redisManager.subscribeToRoom(roomId, () => {
-          // Callback handled by main Redis message handler
-        });
-        subscribedRooms.add(roomId);
-      }
+      await ensureRoomSubscription(roomId);
 
       // Send confirmation to the user FIRST
       socket.emit("joined_room", {
@@ -164,6 +691,37 @@ io.on("connection", (socket) => {
         timestamp: new Date(),
       });
 
+      let replayed;
+      if (Number.isInteger(lastSeq) && lastSeq >= 0) {
+        // A reconnecting client only needs the messages it missed
+        const missed = await database.getMessagesSince(
+          roomId,
+          lastSeq,
+          config.MAX_REPLAY_MESSAGES
+        );
+        socket.emit("missed_messages", { roomId, ...missed });
+        replayed = missed.messages;
+      } else {
+        // Replay recent history so the user has context before live traffic
+        const history = await database.getRecentMessages(roomId);
+        socket.emit("room_history", { roomId, ...history });
+        replayed = history.messages;
+      }
+
+      audit.record("room_joined", socket.data.user, {
+        roomId,
+        details: { rejoin: alreadyJoined, messagesReplayed: replayed.length },
+      });
+
+      if (ConversationManager.isConversationId(roomId)) {
+        await conversations.markRead(userId, roomId);
+      }
+
+      if (alreadyJoined) {
+        return;
+      }
+      metrics.roomJoins.inc({ room: metrics.roomLabel(roomId) });
+
       // Get updated room statistics from Redis
       const roomStats = await redisManager.getRoomStats(roomId);
 
@@ -178,7 +736,7 @@ io.on("connection", (socket) => {
       };
 
       // Publish to Redis so ALL servers get this event
-      await redisManager.publishToRoom(roomId, joinMessage);
+      await publishRoomEvent(roomId, joinMessage);
 
       // 🔥 FIX: Send room info through Redis (not just locally)
       const roomInfoMessage = {
@@ -190,246 +748,1956 @@ io.on("connection", (socket) => {
       };
 
       // Publish to Redis so ALL servers get updated room info
-      await redisManager.publishToRoom(roomId, roomInfoMessage);
+      await publishRoomEvent(roomId, roomInfoMessage);
+      socket.emit("room_info", roomInfoMessage);
     } catch (error) {
-      console.error("Error in join_room:", error);
+      logger.error("Error in join_room", { error });
       socket.emit("error", { message: "Failed to join room" });
     }
   });
 
-  // Handle sending messages
-  socket.on("send_message", async (messageData) => {
+  // Handle sending messages. Clients pass an ack callback and a
+  // clientMessageId idempotency key, so a message retried after a dropped
+  // connection is only delivered once.
+  socket.on("send_message", async (messageData, callback) => {
+    // Report failures through the ack if there is one, else as an error event
+    const reply = typeof callback === "function" ? callback : null;
+    const reject = (error) =>
+      reply ? reply({ ok: false, ...error }) : socket.emit("error", error);
+
     try {
-      const connectionInfo = activeConnections.get(socket.id);
+      const {
+        roomId,
+        content,
+        type = "text",
+        priority = "routine",
+        clientMessageId,
+        patientMrn,
+        attachmentId,
+      } = messageData || {};
+
+      // Room-scoped events must name a room this socket has joined
+      if (!roomId || !connectionInfo.rooms.has(roomId)) {
+        reject({
+          message: "Join the room before posting to it",
+          code: "NOT_IN_ROOM",
+          roomId,
+        });
+        return;
+      }
+
+      const postError = await roomRegistry.checkPost(socket.data.user, roomId);
+      if (postError) {
+        reject({ message: postError, code: "ACCESS_DENIED", roomId });
+        return;
+      }
+
+      if (!config.CLIENT_MESSAGE_TYPES.includes(type)) {
+        reject({ message: `Unsupported message type: ${type}` });
+        return;
+      }
 
-      if (!connectionInfo) {
-        socket.emit("error", { message: "User not connected to any room" });
+      // Attachments may go without a caption; everything else needs content
+      if (
+        typeof content !== "string" ||
+        (content.trim().length === 0 && type !== "attachment")
+      ) {
+        reject({ message: "Message content cannot be empty" });
         return;
       }
 
-      const { content, type = "text" } = messageData;
+      if (content.trim().length > config.MAX_MESSAGE_LENGTH) {
+        reject({
+          message: `Message too long (max ${config.MAX_MESSAGE_LENGTH} characters)`,
+        });
+        return;
+      }
+
+      // Files are uploaded to the room first, then sent by ID, once
+      let attachment = null;
+      if (type === "attachment") {
+        attachment = await attachments.getAttachment(attachmentId);
+        if (
+          !attachment ||
+          attachment.deletedAt ||
+          attachment.messageId ||
+          attachment.roomId !== roomId ||
+          attachment.uploadedBy.userId !== connectionInfo.userId
+        ) {
+          reject({ message: "Unknown attachment", code: "NOT_FOUND" });
+          return;
+        }
+      }
+
+      if (!config.MESSAGE_PRIORITIES.includes(priority)) {
+        reject({ message: `Invalid priority: ${priority}` });
+        return;
+      }
 
-      if (!content || content.trim().length === 0) {
-        socket.emit("error", { message: "Message content cannot be empty" });
+      // Optional patient tag; tagged messages join the patient's room thread
+      const mrn = patientMrn ? normalizeMrn(patientMrn) : null;
+      if (patientMrn && !mrn) {
+        reject({ message: "Invalid patient MRN" });
+        return;
+      }
+
+      if (
+        clientMessageId !== undefined &&
+        (typeof clientMessageId !== "string" ||
+          clientMessageId.length === 0 ||
+          clientMessageId.length > 100)
+      ) {
+        reject({ message: "Invalid clientMessageId" });
+        return;
+      }
+
+      // Content policy: warn about, redact or block PHI per the room's rules
+      const room = await roomRegistry.getRoom(roomId);
+      const phi = applyPhiPolicy(content.trim(), room.phiPolicy);
+      const messageId = require("uuid").v4();
+
+      if (phi.blocked) {
+        await logPhiEvent(connectionInfo, roomId, phi, messageId);
+        audit.record("message_blocked", socket.data.user, {
+          roomId,
+          details: { findings: phi.findings.map((finding) => finding.type) },
+        });
+        reject({
+          message: `Message blocked: ${phi.findings
+            .filter((finding) => finding.action === "block")
+            .map((finding) => finding.label)
+            .join(", ")} not allowed in this room`,
+          code: "PHI_BLOCKED",
+          roomId,
+          findings: phi.findings,
+        });
         return;
       }
 
       // Create properly structured message object
       const message = {
-        id: require("uuid").v4(),
+        id: messageId,
         userId: connectionInfo.userId,
         userName: connectionInfo.userName,
-        roomId: connectionInfo.roomId,
-        content: content.trim(),
+        roomId,
+        content: phi.content,
         type,
+        priority,
         serverId: SERVER_ID,
         timestamp: new Date().toISOString(), // Use ISO string for consistency
         socketId: socket.id,
       };
 
-      console.log(
-        `💬 Message from ${connectionInfo.userName} in ${connectionInfo.roomId} on ${SERVER_ID}: ${content}`
-      );
+      if (mrn) {
+        message.patientMrn = mrn;
+        message.threadId = patientThreadId(roomId, mrn);
+      }
 
-      // Publish message to Redis (will be received by all server instances)
-      const published = await redisManager.publishToRoom(
-        connectionInfo.roomId,
-        message
-      );
+      if (attachment) {
+        message.attachment = attachments.toMessageAttachment(attachment);
+      }
 
-      if (!published) {
-        socket.emit("error", { message: "Failed to send message" });
+      let mentioned;
+      try {
+        mentioned = await mentions.resolve(message.content);
+      } catch (error) {
+        if (error.code !== "TOO_MANY_MENTIONS") {
+          throw error;
+        }
+        reject({ message: error.message, code: error.code, roomId });
         return;
       }
+      if (mentioned.length > 0) {
+        message.mentions = mentioned;
+      }
 
-      // Also broadcast to local clients immediately (for better UX)
-      io.to(connectionInfo.roomId).emit("new_message", message);
-    } catch (error) {
-      console.error("Error in send_message:", error);
-      socket.emit("error", { message: "Failed to send message" });
-    }
-  });
+      if (clientMessageId) {
+        const existingId = await redisManager.claimClientMessage(
+          message.userId,
+          clientMessageId,
+          message.id
+        );
+        if (existingId) {
+          logger.info("Duplicate send ignored", { roomId, clientMessageId });
+          reply?.({ ok: true, messageId: existingId, duplicate: true });
+          return;
+        }
+      }
 
-  // Handle typing indicators
-  // Handle typing indicators - FIXED VERSION
-  socket.on("typing_start", async () => {
-    const connectionInfo = activeConnections.get(socket.id);
-    if (connectionInfo) {
-      const typingMessage = {
-        type: "user_typing",
-        userId: connectionInfo.userId,
-        userName: connectionInfo.userName,
-        roomId: connectionInfo.roomId,
-        isTyping: true,
-        serverId: SERVER_ID,
-        timestamp: new Date(),
-      };
+      // Only once the send is known not to be a retry, so each message is
+      // logged once
+      if (phi.findings.length > 0) {
+        await logPhiEvent(connectionInfo, roomId, phi, messageId);
+      }
 
-      // 🔥 FIX: Send through Redis, not just locally
-      await redisManager.publishToRoom(connectionInfo.roomId, typingMessage);
+      logger.info("Message sent", {
+        roomId,
+        messageId: message.id,
+        type,
+        priority,
+      });
 
-      console.log(
-        `⌨️ ${connectionInfo.userName} started typing in ${connectionInfo.roomId}`
-      );
-    }
-  });
+      const stored = await deliverMessage(message);
 
-  socket.on("typing_stop", async () => {
-    const connectionInfo = activeConnections.get(socket.id);
-    if (connectionInfo) {
-      const typingMessage = {
-        type: "user_typing",
-        userId: connectionInfo.userId,
-        userName: connectionInfo.userName,
-        roomId: connectionInfo.roomId,
-        isTyping: false,
-        serverId: SERVER_ID,
-        timestamp: new Date(),
-      };
+      if (!stored) {
+        if (clientMessageId) {
+          await redisManager.releaseClientMessage(
+            message.userId,
+            clientMessageId
+          );
+        }
+        reject({ message: "Failed to send message" });
+        return;
+      }
+
+      // Only now, so a failed send leaves the upload free to send again
+      // (or to be swept)
+      if (attachment) {
+        await attachments.markAttachmentSent(attachment.id, message.id);
+      }
 
-      // 🔥 FIX: Send through Redis, not just locally
-      await redisManager.publishToRoom(connectionInfo.roomId, typingMessage);
+      audit.record("message_sent", socket.data.user, {
+        roomId,
+        messageId: message.id,
+        details: {
+          type,
+          priority,
+          ...(mrn && { patientMrn: mrn }),
+          ...(phi.findings.length > 0 && {
+            phi: phi.findings.map((finding) => finding.action),
+          }),
+          ...(message.mentions && {
+            mentions: message.mentions.map((mention) => mention.handle),
+          }),
+        },
+      });
 
-      console.log(
-        `⌨️ ${connectionInfo.userName} stopped typing in ${connectionInfo.roomId}`
-      );
+      // Mention notifications don't hold up the sender's ack
+      if (message.mentions) {
+        mentions
+          .notify(message)
+          .then(({ notified, queued }) =>
+            logger.info("Mentions notified", {
+              messageId: message.id,
+              notified,
+              queued,
+            })
+          )
+          .catch((error) =>
+            logger.error("Error notifying mentions", {
+              messageId: message.id,
+              error,
+            })
+          );
+      }
+
+      reply?.({
+        ok: true,
+        messageId: message.id,
+        seq: message.seq,
+        ...(phi.findings.length > 0 && { findings: phi.findings }),
+      });
+    } catch (error) {
+      logger.error("Error in send_message", { error });
+      reject({ message: "Failed to send message" });
     }
   });
 
-  // Handle disconnection
-  socket.on("disconnect", async (reason) => {
-    const connectionInfo = activeConnections.get(socket.id);
-
-    if (connectionInfo) {
-      console.log(
-        `[${new Date().toISOString()}] User ${
-          connectionInfo.userName
-        } disconnected from ${SERVER_ID}: ${reason}`
-      );
-
-      const { userId, roomId, userName } = connectionInfo;
+  // Look up a message this socket wants to edit or delete. Returns
+  // { message } or { error } if it's missing or its room isn't joined.
+  const loadMessageForChange = async (messageId) => {
+    const message =
+      typeof messageId === "string"
+        ? await database.getMessage(messageId)
+        : null;
+    if (!message) {
+      return { error: { message: "Message not found", code: "NOT_FOUND" } };
+    }
 
-      // Remove from local active connections
-      activeConnections.delete(socket.id);
+    if (!connectionInfo.rooms.has(message.roomId)) {
+      return {
+        error: {
+          message: "Join the room before changing its messages",
+          code: "NOT_IN_ROOM",
+          roomId: message.roomId,
+        },
+      };
+    }
 
-      // Remove from Redis
-      await redisManager.removeConnection(socket.id);
+    return { message };
+  };
 
-      // 🔥 FIX: Send leave notification through Redis
-      const leaveMessage = {
-        type: "user_left",
-        userId,
-        userName,
-        roomId,
-        serverId: SERVER_ID,
-        timestamp: new Date(),
-        reason,
-      };
+  // Handle edits to the sender's own messages. The previous content is kept
+  // as a revision; every server's clients get the new content.
+  socket.on("edit_message", async (editData, callback) => {
+    const reply = typeof callback === "function" ? callback : null;
+    const reject = (error) =>
+      reply ? reply({ ok: false, ...error }) : socket.emit("error", error);
 
-      await redisManager.publishToRoom(roomId, leaveMessage);
+    try {
+      const { messageId, content } = editData || {};
+      const user = socket.data.user;
 
-      // 🔥 FIX: Update room info through Redis
-      const roomStats = await redisManager.getRoomStats(roomId);
-      const roomInfoMessage = {
-        type: "room_info",
-        roomId,
-        userCount: roomStats.userCount,
-        serverId: SERVER_ID,
-        timestamp: new Date(),
-      };
+      const { message, error } = await loadMessageForChange(messageId);
+      if (error) {
+        reject(error);
+        return;
+      }
 
-      await redisManager.publishToRoom(roomId, roomInfoMessage);
-    } else {
-      console.log(
-        `[${new Date().toISOString()}] Unknown user disconnected from ${SERVER_ID}: ${
-          socket.id
-        }`
-      );
-    }
-  });
+      const postError = await roomRegistry.checkPost(user, message.roomId);
+      if (postError) {
+        reject({ message: postError, code: "ACCESS_DENIED" });
+        return;
+      }
 
-  // Handle errors
-  socket.on("error", (error) => {
-    console.error(`Socket error for ${socket.id} on ${SERVER_ID}:`, error);
-  });
-});
+      if (message.userId !== user.userId) {
+        reject({
+          message: "You can only edit your own messages",
+          code: "FORBIDDEN",
+        });
+        return;
+      }
 
-// Health check endpoint
-app.get("/health", async (req, res) => {
-  const redisHealth = await redisManager.healthCheck();
+      if (message.deletedAt) {
+        reject({ message: "Deleted messages can't be edited" });
+        return;
+      }
+
+      if (typeof content !== "string" || content.trim().length === 0) {
+        reject({ message: "Message content cannot be empty" });
+        return;
+      }
+
+      if (content.trim().length > config.MAX_MESSAGE_LENGTH) {
+        reject({
+          message: `Message too long (max ${config.MAX_MESSAGE_LENGTH} characters)`,
+        });
+        return;
+      }
+
+      // Edits go through the same content policy as new messages
+      const room = await roomRegistry.getRoom(message.roomId);
+      const phi = applyPhiPolicy(content.trim(), room.phiPolicy);
+
+      if (phi.findings.length > 0) {
+        await logPhiEvent(connectionInfo, message.roomId, phi, message.id);
+      }
+
+      if (phi.blocked) {
+        reject({
+          message: `Edit blocked: ${phi.findings
+            .filter((finding) => finding.action === "block")
+            .map((finding) => finding.label)
+            .join(", ")} not allowed in this room`,
+          code: "PHI_BLOCKED",
+          findings: phi.findings,
+        });
+        return;
+      }
+
+      if (phi.content === message.content) {
+        reply?.({ ok: true, messageId: message.id, unchanged: true });
+        return;
+      }
+
+      const editedAt = new Date().toISOString();
+      await database.reviseMessage(message.id, {
+        content: phi.content,
+        patch: { editedAt },
+        action: "edit",
+        replacedAt: editedAt,
+        replacedBy: user,
+      });
+
+      await broadcastRoomEvent(message.roomId, "message_edited", {
+        messageId: message.id,
+        content: phi.content,
+        editedAt,
+      });
+      audit.record("message_edited", user, {
+        roomId: message.roomId,
+        messageId: message.id,
+      });
+
+      logger.info("Message edited", {
+        roomId: message.roomId,
+        messageId: message.id,
+      });
+      reply?.({
+        ok: true,
+        messageId: message.id,
+        editedAt,
+        ...(phi.findings.length > 0 && { findings: phi.findings }),
+      });
+    } catch (error) {
+      logger.error("Error in edit_message", { error });
+      reject({ message: "Failed to edit message" });
+    }
+  });
+
+  // Handle deletes by the sender (or an admin). The message stays in history
+  // as a tombstone; its last content is kept as a revision.
+  socket.on("delete_message", async (deleteData, callback) => {
+    const reply = typeof callback === "function" ? callback : null;
+    const reject = (error) =>
+      reply ? reply({ ok: false, ...error }) : socket.emit("error", error);
+
+    try {
+      const { messageId } = deleteData || {};
+      const user = socket.data.user;
+
+      const { message, error } = await loadMessageForChange(messageId);
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      if (message.userId !== user.userId && !user.roles.includes("admin")) {
+        reject({
+          message: "You can only delete your own messages",
+          code: "FORBIDDEN",
+        });
+        return;
+      }
+
+      if (message.deletedAt) {
+        reply?.({ ok: true, messageId: message.id });
+        return;
+      }
+
+      const deletedAt = new Date().toISOString();
+      const deletedBy = { userId: user.userId, userName: user.userName };
+      await database.reviseMessage(message.id, {
+        content: "",
+        patch: { deletedAt, deletedBy },
+        action: "delete",
+        replacedAt: deletedAt,
+        replacedBy: user,
+      });
+
+      // A deleted STAT no longer needs chasing
+      statEscalation.cancel(message.id);
+
+      if (message.attachment) {
+        await attachments.markAttachmentDeleted(message.attachment.id);
+      }
+
+      await broadcastRoomEvent(message.roomId, "message_deleted", {
+        messageId: message.id,
+        deletedAt,
+        deletedBy,
+      });
+      audit.record("message_deleted", user, {
+        roomId: message.roomId,
+        messageId: message.id,
+        details: { ownMessage: message.userId === user.userId },
+      });
+
+      logger.info("Message deleted", {
+        roomId: message.roomId,
+        messageId: message.id,
+      });
+      reply?.({ ok: true, messageId: message.id, deletedAt });
+    } catch (error) {
+      logger.error("Error in delete_message", { error });
+      reject({ message: "Failed to delete message" });
+    }
+  });
+
+  // Toggle an emoji reaction or quick reply on a message. Redis holds the
+  // authoritative set so every server agrees on the counts; the message
+  // store keeps a copy for history.
+  socket.on("react_message", async (reactionData, callback) => {
+    const reply = typeof callback === "function" ? callback : null;
+    const reject = (error) =>
+      reply ? reply({ ok: false, ...error }) : socket.emit("error", error);
+
+    try {
+      const { messageId, reaction } = reactionData || {};
+      const user = socket.data.user;
+
+      const { message, error } = await loadMessageForChange(messageId);
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      const postError = await roomRegistry.checkPost(user, message.roomId);
+      if (postError) {
+        reject({ message: postError, code: "ACCESS_DENIED" });
+        return;
+      }
+
+      if (message.deletedAt) {
+        reject({ message: "Deleted messages can't be reacted to" });
+        return;
+      }
+
+      if (
+        !config.REACTIONS.includes(reaction) &&
+        !config.QUICK_REPLIES.includes(reaction)
+      ) {
+        reject({ message: `Unsupported reaction: ${reaction}` });
+        return;
+      }
+
+      const added = await redisManager.toggleReaction(
+        message.id,
+        user,
+        reaction,
+        message.reactions
+      );
+      if (added === null) {
+        reject({ message: "Failed to update reaction" });
+        return;
+      }
+
+      const reactions = await redisManager.getReactions(message.id);
+      await database.updateMessageMetadata(message.id, { reactions });
+      await broadcastRoomEvent(message.roomId, "message_reactions", {
+        messageId: message.id,
+        reactions,
+      });
+      audit.record(added ? "reaction_added" : "reaction_removed", user, {
+        roomId: message.roomId,
+        messageId: message.id,
+        details: { reaction },
+      });
+
+      logger.info(added ? "Reaction added" : "Reaction removed", {
+        messageId: message.id,
+        reaction,
+      });
+      reply?.({ ok: true, messageId: message.id, added, reactions });
+    } catch (error) {
+      logger.error("Error in react_message", { error });
+      reject({ message: "Failed to update reaction" });
+    }
+  });
+
+  // Handle acknowledgement of urgent/STAT messages
+  socket.on("acknowledge_message", async (ackData) => {
+    try {
+      const { messageId } = ackData || {};
+      const { userId, userName } = socket.data.user;
+
+      const message = messageId ? await database.getMessage(messageId) : null;
+      if (!message) {
+        socket.emit("error", { message: "Message not found" });
+        return;
+      }
+
+      const accessError = await roomRegistry.checkJoin(
+        socket.data.user,
+        message.roomId
+      );
+      if (accessError) {
+        socket.emit("error", { message: accessError, code: "ACCESS_DENIED" });
+        return;
+      }
+
+      if (message.priority === "routine") {
+        socket.emit("error", {
+          message: "Only urgent and STAT messages need acknowledgement",
+        });
+        return;
+      }
+
+      if (message.userId === userId) {
+        socket.emit("error", {
+          message: "You can't acknowledge your own message",
+        });
+        return;
+      }
+
+      const ack = { userId, userName, timestamp: new Date().toISOString() };
+      await acknowledgeMessage(message, ack);
+
+      // Acknowledging an escalation also acknowledges the original STAT
+      if (message.escalatedFrom) {
+        const original = await database.getMessage(
+          message.escalatedFrom.messageId
+        );
+        if (original) {
+          await acknowledgeMessage(original, ack);
+        }
+      }
+
+      logger.info("Message acknowledged", {
+        messageId,
+        priority: message.priority,
+      });
+    } catch (error) {
+      logger.error("Error in acknowledge_message", { error });
+      socket.emit("error", { message: "Failed to acknowledge message" });
+    }
+  });
+
+  // Handle delivery and read receipts. Clients batch them as { messageIds }.
+  const handleReceipts = (state) => async (receiptData) => {
+    try {
+      const { messageIds } = receiptData || {};
+      if (!Array.isArray(messageIds)) {
+        return;
+      }
+
+      const user = socket.data.user;
+
+      for (const messageId of messageIds.slice(0, config.MAX_RECEIPT_BATCH)) {
+        const info = await redisManager.getReceiptInfo(messageId);
+
+        // Senders don't receipt their own messages
+        if (
+          !info ||
+          info.senderId === user.userId ||
+          (await roomRegistry.checkJoin(user, info.roomId))
+        ) {
+          continue;
+        }
+
+        const changed = await redisManager.recordReceipt(
+          messageId,
+          user,
+          state
+        );
+        if (changed && state === "read") {
+          audit.record("message_read", user, {
+            roomId: info.roomId,
+            messageId,
+          });
+        }
+        if (changed) {
+          await broadcastRoomEvent(
+            info.roomId,
+            "receipt_update",
+            await getReceiptSummary(messageId, info)
+          );
+        }
+      }
+    } catch (error) {
+      logger.error(`Error in message_${state}`, { error });
+    }
+  };
+
+  socket.on("message_delivered", handleReceipts("delivered"));
+  socket.on("message_read", handleReceipts("read"));
+
+  // Receipt summaries for the sender's own messages (e.g. after loading history)
+  socket.on("get_receipts", async (requestData, callback) => {
+    if (typeof callback !== "function") {
+      return;
+    }
+
+    try {
+      const { messageIds } = requestData || {};
+      const summaries = [];
+
+      for (const messageId of (messageIds || []).slice(
+        0,
+        config.MAX_RECEIPT_BATCH
+      )) {
+        const info = await redisManager.getReceiptInfo(messageId);
+        if (info && info.senderId === socket.data.user.userId) {
+          summaries.push(await getReceiptSummary(messageId, info));
+        }
+      }
+
+      callback({ receipts: summaries });
+    } catch (error) {
+      logger.error("Error in get_receipts", { error });
+      callback({ error: "Failed to load receipts" });
+    }
+  });
+
+  // Handle leaving one room while staying in the others
+  socket.on("leave_room", async (leaveData) => {
+    try {
+      const { roomId } = leaveData || {};
+      if (!connectionInfo.rooms.has(roomId)) {
+        return;
+      }
+
+      connectionInfo.rooms.delete(roomId);
+      socket.leave(roomId);
+      await redisManager.storeConnection(socket.id, connectionInfo);
+      await redisManager.removeRoomPresence(roomId, socket.id);
+
+      socket.emit("left_room", { roomId, timestamp: new Date() });
+      await publishLeave(connectionInfo, roomId, "left_room");
+      audit.record("room_left", connectionInfo, { roomId });
+
+      logger.info("Left room", { roomId });
+    } catch (error) {
+      logger.error("Error in leave_room", { error });
+      socket.emit("error", { message: "Failed to leave room" });
+    }
+  });
+
+  // Handle presence status changes (online/away/busy/in-procedure)
+  socket.on("set_status", async (statusData) => {
+    try {
+      const { status } = statusData || {};
+      if (!config.PRESENCE_STATUSES.includes(status)) {
+        socket.emit("error", { message: `Invalid status: ${status}` });
+        return;
+      }
+
+      await redisManager.setUserStatus(connectionInfo.userId, status);
+
+      for (const roomId of connectionInfo.rooms) {
+        await broadcastRoomEvent(roomId, "presence_update", {
+          userId: connectionInfo.userId,
+          userName: connectionInfo.userName,
+          status,
+        });
+      }
+
+      logger.info("Status changed", { status });
+    } catch (error) {
+      logger.error("Error in set_status", { error });
+      socket.emit("error", { message: "Failed to update status" });
+    }
+  });
+
+  // Handle typing indicators; clients say which room they're typing in
+  const publishTyping = async (typingData, isTyping) => {
+    const { roomId } = typingData || {};
+    if (!connectionInfo.rooms.has(roomId)) {
+      return;
+    }
+
+    // 🔥 FIX: Send through Redis, not just locally
+    await publishRoomEvent(roomId, {
+      type: "user_typing",
+      userId: connectionInfo.userId,
+      userName: connectionInfo.userName,
+      roomId,
+      isTyping,
+      serverId: SERVER_ID,
+      timestamp: new Date(),
+    });
+
+    logger.debug(isTyping ? "Typing started" : "Typing stopped", { roomId });
+  };
+
+  socket.on("typing_start", (typingData) => publishTyping(typingData, true));
+  socket.on("typing_stop", (typingData) => publishTyping(typingData, false));
+
+  // Handle disconnection
+  const cleanUpConnection = async (reason) => {
+    logger.info("User disconnected", {
+      socketId: socket.id,
+      userId: connectionInfo.userId,
+      reason,
+    });
+
+    // Remove from local active connections
+    activeConnections.delete(socket.id);
+    metrics.socketConnections.dec();
+
+    // Mentions are queued from now on, even while the session can resume
+    await redisManager.removeUserPresence(connectionInfo.userId, socket.id);
+
+    const detached =
+      connectionInfo.rooms.size > 0 && !DELIBERATE_DISCONNECTS.includes(reason);
+    audit.record("disconnected", connectionInfo, {
+      details: { reason, rooms: Array.from(connectionInfo.rooms), detached },
+    });
+
+    // Unexpected drops get a grace period to resume; logging out or being
+    // disconnected by the server leaves right away
+    if (detached) {
+      await sessions.detach(resumeToken, connectionInfo);
+      return;
+    }
+
+    // Remove from Redis
+    await redisManager.removeConnection(socket.id, connectionInfo.rooms);
+
+    // 🔥 FIX: Send leave notifications through Redis for every joined room
+    for (const roomId of connectionInfo.rooms) {
+      await publishLeave(
+        connectionInfo,
+        roomId,
+        draining ? "server_shutdown" : reason
+      );
+    }
+  };
+
+  // Tracked so a draining server can wait for every leave to be published
+  socket.on("disconnect", (reason) => {
+    const cleanup = cleanUpConnection(reason).catch((error) =>
+      logger.error("Error cleaning up connection", {
+        socketId: socket.id,
+        error,
+      })
+    );
+    pendingCleanups.add(cleanup);
+    cleanup.finally(() => pendingCleanups.delete(cleanup));
+  });
+
+  // Handle errors
+  socket.on("error", (error) => {
+    logger.error("Socket error", { socketId: socket.id, error });
+  });
+});
+
+// Staff login: exchange username/password for a signed token
+app.post("/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res
+      .status(400)
+      .json({ error: "Username and password are required" });
+  }
+
+  const profile = staffDirectory.authenticate(username, password);
+
+  if (!profile) {
+    logger.warn("Failed login attempt", { username: String(username) });
+    audit.record("login_failed", null, {
+      details: { username: String(username), ip: req.ip },
+    });
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  logger.info("Logged in", { userId: profile.userId });
+  audit.record("login", profile, { details: { ip: req.ip } });
 
   res.json({
-    status: redisHealth.status,
+    token: issueToken(profile),
+    user: profile,
+  });
+});
+
+// Run a dependency's health check, counting it unhealthy if it hangs
+function checkWithTimeout(check) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(
+      () =>
+        resolve({
+          status: "unhealthy",
+          error: "Health check timed out",
+          timestamp: new Date().toISOString(),
+        }),
+      config.HEALTH_CHECK_TIMEOUT_MS
+    );
+  });
+  return Promise.race([check, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDependencies() {
+  const [redis, store, broker] = await Promise.all([
+    checkWithTimeout(redisManager.healthCheck()),
+    checkWithTimeout(database.healthCheck()),
+    checkWithTimeout(pipeline.healthCheck()),
+  ]);
+  return { redis, store, broker };
+}
+
+// Liveness: the process is up and serving requests. Stays 200 while
+// draining, so the orchestrator doesn't kill the server mid-drain.
+app.get("/health/live", (req, res) => {
+  res.json({
+    status: "alive",
     serverId: SERVER_ID,
+    uptime: process.uptime(),
     timestamp: new Date(),
-    activeConnections: activeConnections.size,
-    subscribedRooms: Array.from(subscribedRooms),
-    redis: redisHealth,
   });
 });
 
-// Enhanced metrics endpoint
-app.get("/metrics", async (req, res) => {
-  const metrics = {
+// Readiness: whether this server should get new connections. 503 while
+// draining or if Redis, the message store or the broker is unreachable.
+app.get("/health/ready", async (req, res) => {
+  const checks = await checkDependencies();
+  const healthy = Object.values(checks).every(
+    (check) => check.status === "healthy"
+  );
+  const ready = healthy && !draining;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : draining ? "draining" : "unavailable",
     serverId: SERVER_ID,
+    timestamp: new Date(),
+    ...checks,
+  });
+});
+
+// Health summary for people: dependencies plus this server's load
+app.get("/health", async (req, res) => {
+  const checks = await checkDependencies();
+  const healthy = Object.values(checks).every(
+    (check) => check.status === "healthy"
+  );
+
+  res.json({
+    status: healthy ? "healthy" : "unhealthy",
+    serverId: SERVER_ID,
+    draining,
+    timestamp: new Date(),
     activeConnections: activeConnections.size,
     subscribedRooms: Array.from(subscribedRooms),
-    localConnections: {},
-  };
+    ...checks,
+  });
+});
 
-  // Add local connection details
-  for (const [socketId, info] of activeConnections) {
-    if (!metrics.localConnections[info.roomId]) {
-      metrics.localConnections[info.roomId] = [];
+// Prometheus metrics for this server (text exposition format)
+app.get("/metrics", async (req, res) => {
+  res.set("Content-Type", metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
+
+// Cluster-wide message counts for one day (default today, UTC), from the
+// analytics processor
+app.get(
+  "/analytics/messages",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date must be YYYY-MM-DD" });
     }
-    metrics.localConnections[info.roomId].push({
-      userId: info.userId,
-      userName: info.userName,
-      socketId: socketId.substring(0, 8) + "...",
+    res.json({ date, counts: await redisManager.getMessageStats(date) });
+  }
+);
+
+// Rooms the authenticated user may join
+app.get("/rooms", requireAuth, (req, res) => {
+  res.json({ rooms: roomRegistry.listForUser(req.user) });
+});
+
+// Staff directory, for picking conversation participants
+app.get("/staff", requireAuth, (req, res) => {
+  res.json({ staff: staffDirectory.list() });
+});
+
+// On-call roster; `@oncall-<team>` mentions reach whoever is listed
+app.get("/oncall", requireAuth, async (req, res) => {
+  res.json({ roster: await onCallRoster.list() });
+});
+
+// Replace a team's on-call staff (admin only)
+app.put(
+  "/oncall/:team",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const { team } = req.params;
+    const { userIds } = req.body || {};
+
+    let entry;
+    try {
+      entry = await onCallRoster.set(team, userIds, req.user);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    audit.record("oncall_updated", req.user, {
+      details: {
+        team,
+        userIds: entry.members.map((member) => member.userId),
+      },
     });
+    res.json({ oncall: entry });
+  }
+);
+
+// Take a team off the roster (admin only)
+app.delete(
+  "/oncall/:team",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const { team } = req.params;
+
+    if (!(await onCallRoster.clear(team))) {
+      return res.status(404).json({ error: `No on-call roster for ${team}` });
+    }
+
+    audit.record("oncall_cleared", req.user, { details: { team } });
+    res.status(204).end();
   }
+);
 
-  res.json(metrics);
+// The user's direct and group conversations, with unread counts
+app.get("/conversations", requireAuth, async (req, res) => {
+  const list = await conversations.listForUser(req.user.userId);
+  res.json({ conversations: list });
 });
 
+// Open a direct message or group thread (returns the existing one if the
+// same participants, and for groups the same title, already have one)
+app.post("/conversations", requireAuth, async (req, res) => {
+  const { participantIds, title } = req.body || {};
+
+  if (!Array.isArray(participantIds)) {
+    return res.status(400).json({ error: "participantIds must be an array" });
+  }
+
+  let conversation;
+  try {
+    conversation = await conversations.create(req.user, participantIds, title);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  await redisManager.publishToUsers(
+    conversation.participantIds,
+    "conversation_activity",
+    { conversationId: conversation.id }
+  );
+
+  res.status(201).json({ conversation });
+});
+
+// Clear the caller's unread count for a conversation
+app.post(
+  "/conversations/:conversationId/read",
+  requireAuth,
+  async (req, res) => {
+    const { conversationId } = req.params;
+
+    const accessError = await roomRegistry.checkJoin(req.user, conversationId);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    await conversations.markRead(req.user.userId, conversationId);
+    res.json({ conversationId, unreadCount: 0 });
+  }
+);
+
 // Global room statistics endpoint (Redis-based)
-app.get("/rooms/:roomId/stats", async (req, res) => {
+app.get("/rooms/:roomId/stats", requireAuth, async (req, res) => {
   const { roomId } = req.params;
+
+  const accessError = await roomRegistry.checkJoin(req.user, roomId);
+  if (accessError) {
+    return res.status(403).json({ error: accessError });
+  }
   const stats = await redisManager.getRoomStats(roomId);
   res.json(stats);
 });
 
+// Clamp a ?limit= query parameter to [1, max]
+function parseLimit(value, fallback, max) {
+  return Math.max(1, Math.min(parseInt(value, 10) || fallback, max));
+}
+
+// Paginated message history, newest page first; follow nextCursor for older
+// pages. `after=<cursor>` pages forward instead, and `around=<messageId>`
+// returns the window around one message (used to jump to search results).
+app.get("/rooms/:roomId/messages", requireAuth, async (req, res) => {
+  const { roomId } = req.params;
+
+  const accessError = await roomRegistry.checkJoin(req.user, roomId);
+  if (accessError) {
+    return res.status(403).json({ error: accessError });
+  }
+
+  const limit = parseLimit(
+    req.query.limit,
+    config.HISTORY_LIMIT,
+    config.MAX_HISTORY_PAGE
+  );
+
+  if (req.query.around) {
+    const context = await database.getMessageContext(
+      roomId,
+      req.query.around,
+      limit
+    );
+    if (!context) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    audit.record("history_viewed", req.user, {
+      roomId,
+      messageId: req.query.around,
+      details: { messages: context.messages.length },
+    });
+    return res.json({ roomId, ...context });
+  }
+
+  const cursorParam = req.query.after || req.query.before;
+  let cursor = null;
+  if (cursorParam) {
+    cursor = database.decodeCursor(cursorParam);
+    if (!cursor) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+  }
+
+  const page = req.query.after
+    ? await database.getMessagesAfter(roomId, limit, cursor)
+    : await database.getRecentMessages(roomId, limit, cursor);
+  audit.record("history_viewed", req.user, {
+    roomId,
+    details: { messages: page.messages.length },
+  });
+  res.json({ roomId, ...page });
+});
+
+// Earlier versions of an edited or deleted message, oldest first. What a
+// deleted message said is only shown to admins.
+app.get(
+  "/rooms/:roomId/messages/:messageId/revisions",
+  requireAuth,
+  async (req, res) => {
+    const { roomId, messageId } = req.params;
+
+    const accessError = await roomRegistry.checkJoin(req.user, roomId);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const message = await database.getMessage(messageId);
+    if (!message || message.roomId !== roomId) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (message.deletedAt && !req.user.roles.includes("admin")) {
+      return res
+        .status(403)
+        .json({ error: "Deleted messages' history is restricted to admins" });
+    }
+
+    const revisions = await database.getMessageRevisions(messageId);
+    audit.record("revisions_viewed", req.user, { roomId, messageId });
+    res.json({ messageId, revisions });
+  }
+);
+
+// Uploads are held in memory, capped at MAX_ATTACHMENT_BYTES, until they
+// have been checked and handed to the attachment store
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.MAX_ATTACHMENT_BYTES, files: 1 },
+});
+
+// Receive one file in the "file" field, turning multer's errors into 4xx
+function receiveUpload(req, res, next) {
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === "LIMIT_FILE_SIZE"
+        ? res.status(413).json({
+            error: `File too large (max ${Math.floor(
+              config.MAX_ATTACHMENT_BYTES / (1024 * 1024)
+            )} MB)`,
+          })
+        : res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+}
+
+// Only staff who may post to the room get to upload; checked before the
+// body is read, so nobody else can make the server buffer a file
+async function requireUploadAccess(req, res, next) {
+  const postError = await roomRegistry.checkPost(req.user, req.params.roomId);
+  if (postError) {
+    return res.status(403).json({ error: postError });
+  }
+  next();
+}
+
+// Upload a file to a room; send it with send_message { type: "attachment",
+// attachmentId }. The file's type is detected from its content. Uploads
+// not sent within ATTACHMENT_ORPHAN_TTL_MS are deleted by the retention job.
+app.post(
+  "/rooms/:roomId/attachments",
+  requireAuth,
+  requireUploadAccess,
+  receiveUpload,
+  async (req, res) => {
+    const { roomId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file in the "file" field' });
+    }
+
+    const mimeType = attachments.detectMimeType(req.file.buffer);
+    if (!mimeType || !config.ATTACHMENT_TYPES.includes(mimeType)) {
+      return res.status(415).json({
+        error: "Unsupported file type (allowed: JPEG, PNG, GIF, WebP, PDF)",
+      });
+    }
+
+    const attachment = await attachments.saveAttachment({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      mimeType,
+      roomId,
+      user: req.user,
+    });
+    audit.record("attachment_uploaded", req.user, {
+      roomId,
+      details: {
+        attachmentId: attachment.id,
+        mimeType,
+        size: attachment.size,
+        sha256: attachment.sha256,
+      },
+    });
+
+    logger.info("Attachment uploaded", {
+      userId: req.user.userId,
+      roomId,
+      attachmentId: attachment.id,
+    });
+    res
+      .status(201)
+      .json({ attachment: attachments.toMessageAttachment(attachment) });
+  }
+);
+
+// Short-lived download links for an attachment, for members of its room
+app.get("/attachments/:attachmentId/links", requireAuth, async (req, res) => {
+  const attachment = await attachments.getAttachment(req.params.attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ error: "Attachment not found" });
+  }
+
+  const accessError = await roomRegistry.checkJoin(req.user, attachment.roomId);
+  if (accessError) {
+    return res.status(403).json({ error: accessError });
+  }
+  if (attachment.deletedAt) {
+    return res.status(410).json({ error: "Attachment was deleted" });
+  }
+
+  const token = encodeURIComponent(issueDownloadToken(req.user, attachment.id));
+  const base = `/attachments/${attachment.id}`;
+  res.json({
+    url: `${base}/original?token=${token}`,
+    thumbnailUrl: attachment.thumbnail
+      ? `${base}/thumbnail?token=${token}`
+      : null,
+    expiresIn: config.ATTACHMENT_URL_TTL,
+  });
+});
+
+// Serve an attachment (or its thumbnail) to the holder of a download link
+app.get("/attachments/:attachmentId/:variant", async (req, res) => {
+  const { attachmentId, variant } = req.params;
+  if (!["original", "thumbnail"].includes(variant)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const viewer = verifyDownloadToken(req.query.token, attachmentId);
+  if (!viewer) {
+    return res.status(401).json({ error: "Invalid or expired link" });
+  }
+
+  const attachment = await attachments.getAttachment(attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ error: "Attachment not found" });
+  }
+  if (attachment.deletedAt) {
+    return res.status(410).json({ error: "Attachment was deleted" });
+  }
+
+  const stream = await attachments.openAttachment(attachmentId, variant);
+  if (!stream) {
+    return res.status(404).json({ error: "Attachment not found" });
+  }
+
+  if (variant === "original") {
+    audit.record("attachment_downloaded", viewer, {
+      roomId: attachment.roomId,
+      details: { attachmentId },
+    });
+  }
+
+  res.set({
+    "Content-Type":
+      variant === "thumbnail" ? "image/webp" : attachment.mimeType,
+    "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(
+      attachment.fileName
+    )}`,
+    "Cache-Control": "private, max-age=300",
+    "X-Content-Type-Options": "nosniff",
+  });
+  stream.on("error", (error) => {
+    logger.error("Error streaming attachment", {
+      attachmentId: attachment.id,
+      error,
+    });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+// Preview how a room's PHI policy treats a draft, so the client can warn
+// before sending. Nothing is logged; only actual sends are.
+app.post("/rooms/:roomId/phi-check", requireAuth, async (req, res) => {
+  const { roomId } = req.params;
+  const { content } = req.body || {};
+
+  const accessError = await roomRegistry.checkJoin(req.user, roomId);
+  if (accessError) {
+    return res.status(403).json({ error: accessError });
+  }
+  if (typeof content !== "string") {
+    return res.status(400).json({ error: "content must be a string" });
+  }
+
+  const room = await roomRegistry.getRoom(roomId);
+  res.json({ roomId, ...applyPhiPolicy(content.trim(), room.phiPolicy) });
+});
+
+// Flagged PHI events for compliance review, newest first
+app.get(
+  "/compliance/phi-events",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const limit = parseLimit(req.query.limit, 100, 1000);
+    res.json({ events: await redisManager.getComplianceEvents(limit) });
+  }
+);
+
+// Outbound webhooks (admin only). The signing secret is returned once, on
+// registration.
+app.get("/webhooks", requireAuth, requireRole("admin"), async (req, res) => {
+  res.json({ webhooks: await webhooks.list(), events: config.WEBHOOK_EVENTS });
+});
+
+app.post("/webhooks", requireAuth, requireRole("admin"), async (req, res) => {
+  let webhook;
+  try {
+    webhook = await webhooks.register(req.body || {}, req.user);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  audit.record("webhook_registered", req.user, {
+    details: {
+      webhookId: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+    },
+  });
+  res.status(201).json({ webhook });
+});
+
+app.delete(
+  "/webhooks/:webhookId",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const { webhookId } = req.params;
+
+    if (!(await webhooks.remove(webhookId))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    audit.record("webhook_removed", req.user, { details: { webhookId } });
+    res.status(204).end();
+  }
+);
+
+// Send a signed test event to check an endpoint is reachable
+app.post(
+  "/webhooks/:webhookId/test",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const deliveryId = await webhooks.ping(req.params.webhookId, req.user);
+    if (!deliveryId) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.status(202).json({ deliveryId });
+  }
+);
+
+// Deliveries that ran out of retries, newest first
+app.get(
+  "/webhooks/dead-letters",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const limit = parseLimit(
+      req.query.limit,
+      100,
+      config.WEBHOOK_DEAD_LETTER_MAX
+    );
+    res.json({ deadLetters: await webhooks.listDeadLetters(limit) });
+  }
+);
+
+app.post(
+  "/webhooks/dead-letters/:deliveryId/retry",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const entry = await webhooks.retryDeadLetter(req.params.deliveryId);
+    if (!entry) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+    res.status(202).json({ deliveryId: entry.id });
+  }
+);
+
+// Post alerts from the HL7/FHIR bridge into their rooms as system messages,
+// under the room's PHI policy like any other message. Inbound message IDs
+// are remembered, so a feed resending a message doesn't post it twice.
+// Returns one result per alert: { roomId, messageId, duplicate? } or
+// { skipped } with the reason.
+async function postClinicalAlerts(alerts) {
+  const results = [];
+
+  for (const alert of alerts) {
+    const route = alertRules.route(alert);
+    const room = route.roomId && (await roomRegistry.getRoom(route.roomId));
+    if (route.roomId && !room) {
+      route.skipped = `Unknown room: ${route.roomId}`;
+    }
+    if (route.skipped) {
+      logger.info("Clinical alert skipped", {
+        source: alert.source,
+        event: alert.event,
+        reason: route.skipped,
+      });
+      results.push({ event: alert.event, skipped: route.skipped });
+      continue;
+    }
+
+    const phi = applyPhiPolicy(route.content, room.phiPolicy);
+    const messageId = require("uuid").v4();
+    const sender = { userId: "system", userName: config.CLINICAL_ALERT_SENDER };
+
+    if (phi.blocked) {
+      await logPhiEvent(sender, room.id, phi, messageId);
+      results.push({
+        event: alert.event,
+        skipped: "Blocked by the room's PHI policy",
+      });
+      continue;
+    }
+
+    const message = {
+      id: messageId,
+      ...sender,
+      roomId: room.id,
+      content: phi.content,
+      type: "system",
+      priority: route.priority,
+      alert: { source: alert.source, event: alert.event, sourceId: alert.id },
+      serverId: SERVER_ID,
+      timestamp: new Date().toISOString(),
+    };
+
+    const mrn = alert.mrn ? normalizeMrn(alert.mrn) : null;
+    if (mrn) {
+      message.patientMrn = mrn;
+      message.threadId = patientThreadId(room.id, mrn);
+    }
+
+    // An alert whose mentions can't be resolved, or reach too many people,
+    // is still posted, unpaged
+    const mentioned = await mentions.resolve(message.content).catch((error) => {
+      if (error.code === "TOO_MANY_MENTIONS") {
+        logger.warn("Clinical alert mentions dropped", {
+          roomId: room.id,
+          reason: error.message,
+        });
+      } else {
+        logger.error("Error resolving clinical alert mentions", {
+          roomId: room.id,
+          error,
+        });
+      }
+      return [];
+    });
+    if (mentioned.length > 0) {
+      message.mentions = mentioned;
+    }
+
+    const dedupKey = alert.id && `${alert.source}:${alert.id}`;
+    if (dedupKey) {
+      const existingId = await redisManager.claimClientMessage(
+        "integration",
+        dedupKey,
+        message.id
+      );
+      if (existingId) {
+        logger.info("Duplicate clinical alert ignored", {
+          source: alert.source,
+          sourceId: alert.id,
+        });
+        results.push({
+          roomId: room.id,
+          messageId: existingId,
+          duplicate: true,
+        });
+        continue;
+      }
+    }
+
+    // Logged after the dedup claim, so a resent alert isn't logged twice
+    if (phi.findings.length > 0) {
+      await logPhiEvent(sender, room.id, phi, messageId);
+    }
+
+    if (!(await deliverMessage(message))) {
+      if (dedupKey) {
+        await redisManager.releaseClientMessage("integration", dedupKey);
+      }
+      throw new Error("Failed to post clinical alert");
+    }
+
+    logger.info("Clinical alert posted", {
+      source: alert.source,
+      event: alert.event,
+      roomId: room.id,
+      messageId: message.id,
+    });
+    audit.record("clinical_alert_posted", null, {
+      roomId: room.id,
+      messageId: message.id,
+      details: {
+        source: alert.source,
+        event: alert.event,
+        sourceId: alert.id,
+        priority: message.priority,
+      },
+    });
+
+    if (message.mentions) {
+      mentions.notify(message).catch((error) =>
+        logger.error("Error notifying mentions", {
+          messageId: message.id,
+          error,
+        })
+      );
+    }
+
+    results.push({ roomId: room.id, messageId: message.id });
+  }
+
+  return results;
+}
+
+// HL7 v2 feed (ADT admissions/transfers/discharges, ORU results). Replies
+// with an HL7 ACK, as interface engines expect.
+app.post(
+  "/integrations/hl7",
+  requireIntegrationKey,
+  express.text({
+    type: ["x-application/hl7-v2+er7", "application/hl7-v2", "text/plain"],
+    limit: config.MAX_INTEGRATION_BODY,
+  }),
+  async (req, res) => {
+    res.type("x-application/hl7-v2+er7");
+
+    let message;
+    try {
+      message = hl7.parseMessage(req.body);
+    } catch (error) {
+      return res.status(400).send(hl7.buildAck(null, "AR", error.message));
+    }
+
+    try {
+      const results = await postClinicalAlerts(hl7.toAlerts(message));
+      const posted = results.filter((r) => r.messageId && !r.duplicate);
+      const text =
+        posted.length > 0
+          ? `Posted ${posted.length} alert(s)`
+          : results.some((r) => r.duplicate)
+            ? "Already received"
+            : results[0]?.skipped || "No alerts for this message";
+      res.send(hl7.buildAck(message, "AA", text));
+    } catch (error) {
+      logger.error("Error handling HL7 message", { error });
+      res
+        .status(500)
+        .send(hl7.buildAck(message, "AE", "Internal server error"));
+    }
+  }
+);
+
+// FHIR feed: an Observation or Communication resource, or a Bundle of them
+app.post(
+  "/integrations/fhir",
+  requireIntegrationKey,
+  express.json({
+    type: "application/fhir+json",
+    limit: config.MAX_INTEGRATION_BODY,
+  }),
+  async (req, res) => {
+    let alerts;
+    try {
+      alerts = fhir.toAlerts(req.body, alertRules.fhirExtensions);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json({ results: await postClinicalAlerts(alerts) });
+    } catch (error) {
+      logger.error("Error handling FHIR resource", { error });
+      res.status(500).json({ error: "Failed to post clinical alerts" });
+    }
+  }
+);
+
+// Parse the audit query filters: userId, roomId, action, from, to.
+// Date-only `to` values include the whole day.
+function parseAuditFilters(query) {
+  const from = query.from ? new Date(query.from) : null;
+  let to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: "Invalid date filter" };
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return {
+    filters: {
+      userId: query.userId ? String(query.userId) : null,
+      roomId: query.roomId ? String(query.roomId) : null,
+      action: query.action ? String(query.action) : null,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+    },
+  };
+}
+
+// `details` is stored as the exact JSON string that was hashed
+function auditEntryToJson(entry) {
+  return { ...entry, details: JSON.parse(entry.details) };
+}
+
+// Audit log query, newest first; follow nextCursor for older entries
+app.get("/audit", requireAuth, requireRole("admin"), async (req, res) => {
+  const { filters, error } = parseAuditFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let before = null;
+  if (req.query.before) {
+    before = database.decodeCursor(req.query.before);
+    if (!before) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+  }
+
+  const limit = parseLimit(req.query.limit, 100, config.AUDIT_PAGE_LIMIT);
+  const page = await database.queryAuditLog(filters, limit, before);
+  audit.record("audit_viewed", req.user, { details: { filters } });
+
+  res.json({
+    entries: page.entries.map(auditEntryToJson),
+    nextCursor: page.nextCursor,
+  });
+});
+
+// Download matching audit entries as CSV or JSON (?format=csv|json)
+app.get(
+  "/audit/export",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const format = req.query.format || "csv";
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({ error: "format must be csv or json" });
+    }
+
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { entries, nextCursor } = await database.queryAuditLog(
+      filters,
+      config.AUDIT_EXPORT_LIMIT
+    );
+    audit.record("audit_exported", req.user, {
+      details: { filters, format, entries: entries.length },
+    });
+
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === "csv") {
+      return res.type("text/csv").send(AuditLog.toCsv(entries));
+    }
+    res.json({
+      exportedAt: new Date().toISOString(),
+      filters,
+      truncated: Boolean(nextCursor),
+      entries: entries.map(auditEntryToJson),
+    });
+  }
+);
+
+// Re-hash every chain (or ?chainId=) and report where any was tampered with
+app.get(
+  "/audit/verify",
+  requireAuth,
+  requireRole("admin"),
+  async (req, res) => {
+    const chainIds = req.query.chainId
+      ? [String(req.query.chainId)]
+      : await database.listAuditChains();
+
+    const chains = [];
+    for (const chainId of chainIds) {
+      chains.push(await AuditLog.verifyChain(chainId));
+    }
+
+    res.json({ valid: chains.every((chain) => chain.valid), chains });
+  }
+);
+
+// Rooms and conversations a user may read, for cross-room views
+async function readableRoomIds(user) {
+  const conversationIds = await redisManager.getUserConversationIds(
+    user.userId
+  );
+  return [
+    ...roomRegistry.listForUser(user).map((room) => room.id),
+    ...conversationIds,
+  ];
+}
+
+// Patient threads in one room, most recently active first
+app.get("/rooms/:roomId/threads", requireAuth, async (req, res) => {
+  const { roomId } = req.params;
+
+  const accessError = await roomRegistry.checkJoin(req.user, roomId);
+  if (accessError) {
+    return res.status(403).json({ error: accessError });
+  }
+
+  const threads = await database.listPatientThreads(roomId);
+  res.json({ roomId, threads });
+});
+
+// Everything said about one patient, across the rooms the caller may read
+// (or one room's thread with ?roomId=). Paged like room history.
+app.get("/patients/:mrn/messages", requireAuth, async (req, res) => {
+  const mrn = normalizeMrn(req.params.mrn);
+  if (!mrn) {
+    return res.status(400).json({ error: "Invalid patient MRN" });
+  }
+
+  let roomIds;
+  if (req.query.roomId) {
+    const accessError = await roomRegistry.checkJoin(
+      req.user,
+      req.query.roomId
+    );
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+    roomIds = [req.query.roomId];
+  } else {
+    roomIds = await readableRoomIds(req.user);
+  }
+
+  let before = null;
+  if (req.query.before) {
+    before = database.decodeCursor(req.query.before);
+    if (!before) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+  }
+
+  const limit = parseLimit(
+    req.query.limit,
+    config.HISTORY_LIMIT,
+    config.MAX_HISTORY_PAGE
+  );
+  const page = await database.getPatientMessages(mrn, roomIds, limit, before);
+  audit.record("patient_viewed", req.user, {
+    roomId: req.query.roomId || null,
+    details: { patientMrn: mrn, messages: page.messages.length },
+  });
+  res.json({ patientMrn: mrn, ...page });
+});
+
+// Parse the shared search query parameters: q, author, from, to, limit.
+// Date-only `to` values include the whole day.
+function parseSearchQuery(query) {
+  const q = (query.q || "").trim();
+  if (!q) {
+    return { error: "Search query is required" };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  let to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: "Invalid date filter" };
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return {
+    q,
+    options: {
+      from,
+      to,
+      author: query.author ? String(query.author).trim() : null,
+      limit: parseLimit(query.limit, 20, config.MAX_SEARCH_RESULTS),
+    },
+  };
+}
+
+// Full-text search within one room
+app.get("/rooms/:roomId/search", requireAuth, async (req, res) => {
+  const { roomId } = req.params;
+
+  const accessError = await roomRegistry.checkJoin(req.user, roomId);
+  if (accessError) {
+    return res.status(403).json({ error: accessError });
+  }
+
+  const { q, options, error } = parseSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const results = await database.searchMessages([roomId], q, options);
+  audit.record("searched", req.user, {
+    roomId,
+    details: { query: q, results: results.length },
+  });
+  res.json({ query: q, results });
+});
+
+// Full-text search across every room the user may read
+app.get("/search", requireAuth, async (req, res) => {
+  const { q, options, error } = parseSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const roomIds = await readableRoomIds(req.user);
+  const results = await database.searchMessages(roomIds, q, options);
+  audit.record("searched", req.user, {
+    details: { query: q, results: results.length },
+  });
+  res.json({ query: q, results });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error("Express error:", error);
+  logger.error("Express error", { method: req.method, path: req.path, error });
   res.status(500).json({ error: "Internal server error" });
 });
 
 // Initialize Redis message handling
-setupRedisMessageHandler().catch(console.error);
+setupRedisMessageHandler()
+  .then(() => redisManager.subscribeToUserEvents())
+  .catch((error) =>
+    logger.error("Error setting up Redis message handling", { error })
+  );
+
+// Initialize the message store and start the processing pipeline
+database
+  .initStore()
+  .then(() =>
+    pipeline.startMessageProcessor([
+      createNotificationProcessor({ conversations, redisManager }),
+      createAnalyticsProcessor({ redisManager }),
+    ])
+  )
+  .then(() => retention.start())
+  .catch((error) =>
+    logger.error("Error starting the message pipeline", { error })
+  );
+
+attachments
+  .initAttachmentStore()
+  .catch((error) =>
+    logger.error("Error initializing the attachment store", { error })
+  );
 
 // Start the server
 server.listen(config.PORT, () => {
-  console.log(
-    `🚀 Hospital Chat Server (${SERVER_ID}) running on port ${config.PORT}`
-  );
-  console.log(`📊 Health check: http://localhost:${config.PORT}/health`);
-  console.log(`📈 Metrics: http://localhost:${config.PORT}/metrics`);
+  logger.info("Hospital Chat Server running", {
+    port: config.PORT,
+    health: `http://localhost:${config.PORT}/health`,
+    readiness: `http://localhost:${config.PORT}/health/ready`,
+    metrics: `http://localhost:${config.PORT}/metrics`,
+  });
 });
 
-// Graceful shutdown
-const gracefulShutdown = async () => {
-  console.log("Shutting down gracefully...");
+// Graceful shutdown: drain this server's sockets onto the others while
+// Redis and the store are still up, then close everything in order
+let shuttingDown = false;
+const gracefulShutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  draining = true;
+  logger.info("Draining before shutdown", {
+    signal,
+    connections: activeConnections.size,
+  });
+
+  // A stuck connection or dependency shouldn't keep the process alive
+  setTimeout(() => {
+    logger.error("Shutdown timed out, exiting");
+    process.exit(1);
+  }, config.SHUTDOWN_TIMEOUT_MS).unref();
+
+  // Readiness is failing now; give load balancers time to stop routing here
+  await new Promise((resolve) => setTimeout(resolve, config.DRAIN_DELAY_MS));
+
+  // Stop accepting connections. In-flight requests are allowed to finish.
+  const serverClosed = new Promise((resolve) => server.close(resolve));
+  server.closeIdleConnections?.(); // Node 18.2+
+
+  // Tell clients to reconnect elsewhere (spread over a window so the other
+  // servers aren't hit all at once), then hang up. Being disconnected by
+  // the server counts as leaving, so each socket's handler publishes
+  // user_left and room_info and removes its connection:* key.
+  io.emit("server_draining", {
+    serverId: SERVER_ID,
+    reconnectWithinMs: config.DRAIN_RECONNECT_WINDOW_MS,
+  });
+  io.disconnectSockets(true);
+  while (pendingCleanups.size > 0) {
+    await Promise.all(pendingCleanups);
+  }
+  await serverClosed;
+  logger.info("Drained connections");
+
+  // Stop escalation timers
+  statEscalation.stop();
+  retention.stop();
+  clearInterval(presenceHeartbeat);
+
+  // Dropped connections still in their grace period leave their rooms now
+  await sessions.stop();
+
+  // Let processors finish queued messages while Redis and the store are up
+  await pipeline.stopPipeline();
+
+  // Write any queued audit entries before the store closes
+  await audit.flush();
+
+  // Dead-letter webhook deliveries still waiting to be retried
+  await webhooks.stop();
 
   // Close Redis connections
   await redisManager.disconnect();
 
-  // Close server
-  server.close(() => {
-    console.log("Server closed");
-    process.exit(0);
-  });
+  // Close the message store
+  await database.closeStore();
+  await attachments.closeAttachmentStore();
+
+  logger.info("Server closed");
+  process.exit(0);
 };
 
-process.on("SIGTERM", gracefulShutdown);
-process.on("SIGINT", gracefulShutdown);
+process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+process.on("SIGINT", () => gracefulShutdown("SIGINT"));
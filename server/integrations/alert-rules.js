@@ -0,0 +1,102 @@
+const fs = require("fs");
+const config = require("../config");
+const logger = require("../logger");
+
+const ALERT_EVENTS = [
+  "admission",
+  "transfer",
+  "discharge",
+  "result",
+  "communication",
+];
+
+// Fill {field} placeholders from an alert; missing fields are left out
+function render(template, alert) {
+  return template
+    .replace(/\{(\w+)\}/g, (_, name) => alert[name] ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, config.MAX_MESSAGE_LENGTH);
+}
+
+// Routing for the HL7/FHIR bridge, from the clinical alerts file. Parsers
+// turn inbound messages into alerts: { source ("hl7" | "fhir"), id, event,
+// unit, bed, mrn } plus, per event, fromUnit/fromBed (transfer), test,
+// value, units, flag, status (result) or text, priority (communication).
+// The first rule matching an alert's event (and source and flag, if the
+// rule lists them) gives its message; the unit gives its room.
+class AlertRules {
+  constructor(filePath = config.CLINICAL_ALERT_RULES_FILE) {
+    const rules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+    for (const rule of rules.alerts || []) {
+      if (!ALERT_EVENTS.includes(rule.event)) {
+        throw new Error(`Unknown clinical alert event: ${rule.event}`);
+      }
+      if (typeof rule.template !== "string") {
+        throw new Error(
+          `Clinical alert rule for ${rule.event} has no template`
+        );
+      }
+      if (rule.priority && !config.MESSAGE_PRIORITIES.includes(rule.priority)) {
+        throw new Error(`Invalid clinical alert priority: ${rule.priority}`);
+      }
+    }
+
+    // Unit codes are matched case-insensitively
+    this.units = new Map(
+      Object.entries(rules.units || {}).map(([unit, roomId]) => [
+        unit.toUpperCase(),
+        roomId,
+      ])
+    );
+    this.defaultRoom = rules.defaultRoom || null;
+    this.fhirExtensions = rules.fhirExtensions || {};
+    this.alerts = rules.alerts || [];
+
+    logger.info("Loaded clinical alert rules", {
+      rules: this.alerts.length,
+      units: this.units.size,
+      filePath,
+    });
+  }
+
+  // { roomId, content, priority } to post for `alert`, or { skipped } with
+  // the reason there's nothing to post
+  route(alert) {
+    const rule = this.alerts.find(
+      (r) =>
+        r.event === alert.event &&
+        (!r.source || r.source === alert.source) &&
+        (!r.flags || r.flags.includes(alert.flag))
+    );
+    if (!rule) {
+      return {
+        skipped: `No rule for ${alert.event} alerts${
+          alert.flag ? ` flagged ${alert.flag}` : ""
+        }`,
+      };
+    }
+
+    const roomId =
+      rule.room ||
+      (alert.unit && this.units.get(alert.unit.toUpperCase())) ||
+      this.defaultRoom;
+    if (!roomId) {
+      return { skipped: `No room for unit ${alert.unit || "(none)"}` };
+    }
+
+    const content = render(rule.template, alert);
+    if (!content) {
+      return { skipped: "Alert has no content" };
+    }
+
+    return {
+      roomId,
+      content,
+      priority: rule.priority || alert.priority || "routine",
+    };
+  }
+}
+
+module.exports = AlertRules;
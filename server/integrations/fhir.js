@@ -0,0 +1,109 @@
+// FHIR request priorities, as chat message priorities
+const PRIORITIES = {
+  routine: "routine",
+  urgent: "urgent",
+  asap: "urgent",
+  stat: "stat",
+};
+
+// valueString of the extension with `url`, or null
+function extensionValue(resource, url) {
+  const extension = (resource.extension || []).find((ext) => ext.url === url);
+  return extension?.valueString ?? extension?.valueCode ?? null;
+}
+
+// Text of a CodeableConcept: its text, else the first coding's display/code
+function conceptText(concept) {
+  const coding = concept?.coding?.[0];
+  return concept?.text || coding?.display || coding?.code || null;
+}
+
+// The patient's MRN, when the subject is given by identifier
+function subjectMrn(resource) {
+  return resource.subject?.identifier?.value || null;
+}
+
+function observationAlert(resource, base) {
+  const quantity = resource.valueQuantity;
+  const value =
+    quantity?.value ??
+    resource.valueString ??
+    conceptText(resource.valueCodeableConcept);
+
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (["cancelled", "entered-in-error"].includes(resource.status)) {
+    return null;
+  }
+
+  const interpretation = resource.interpretation?.[0]?.coding?.[0]?.code;
+  return {
+    ...base,
+    event: "result",
+    test: conceptText(resource.code),
+    value: String(value),
+    units: quantity?.unit || quantity?.code || null,
+    flag: interpretation ? interpretation.toUpperCase() : null,
+    status: resource.status || null,
+  };
+}
+
+function communicationAlert(resource, base) {
+  const text = (resource.payload || [])
+    .map((payload) => payload.contentString)
+    .filter(Boolean)
+    .join(" ");
+
+  if (!text) {
+    return null;
+  }
+  return {
+    ...base,
+    event: "communication",
+    text,
+    priority: PRIORITIES[resource.priority] || null,
+  };
+}
+
+// Turn a FHIR resource, or a Bundle of them, into alerts (see AlertRules
+// for the fields). Only Observation and Communication resources are
+// alerted on. `extensions` gives the extension URLs carrying the unit and
+// bed, since neither resource has a field for them. Throws an Error with a
+// user-facing message if `body` isn't a FHIR resource.
+function toAlerts(body, extensions) {
+  if (!body || typeof body !== "object" || !body.resourceType) {
+    throw new Error("Body must be a FHIR resource or Bundle");
+  }
+
+  const resources =
+    body.resourceType === "Bundle"
+      ? (body.entry || []).map((entry) => entry.resource).filter(Boolean)
+      : [body];
+
+  const alerts = [];
+  for (const resource of resources) {
+    const base = {
+      source: "fhir",
+      id: resource.id ? `${resource.resourceType}/${resource.id}` : null,
+      unit: extensionValue(resource, extensions.unit),
+      bed: extensionValue(resource, extensions.bed),
+      mrn: subjectMrn(resource),
+    };
+
+    const alert =
+      resource.resourceType === "Observation"
+        ? observationAlert(resource, base)
+        : resource.resourceType === "Communication"
+          ? communicationAlert(resource, base)
+          : null;
+    if (alert) {
+      alerts.push(alert);
+    }
+  }
+  return alerts;
+}
+
+module.exports = {
+  toAlerts,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+
+// ADT trigger events that become alerts; other ADT events (updates,
+// merges, ...) are accepted and ignored
+const ADT_EVENTS = {
+  A01: "admission",
+  A02: "transfer",
+  A03: "discharge",
+  A04: "admission", // Registration (e.g. an ED arrival)
+};
+
+// HL7 escape sequences for the delimiters, as \F\, \S\, ...
+const ESCAPES = { F: "|", S: "^", T: "&", R: "~", E: "\\" };
+
+// Parse an ER7-encoded (pipe-delimited) HL7 v2 message. Throws an Error
+// with a user-facing message if it isn't one.
+function parseMessage(text) {
+  const lines = String(text || "")
+    .split(/\r\n|\r|\n/)
+    .filter((line) => line.trim());
+
+  if (!lines[0]?.startsWith("MSH") || lines[0].length < 8) {
+    throw new Error("HL7 message must start with an MSH segment");
+  }
+
+  const fieldSeparator = lines[0][3];
+  const [componentSeparator, repetitionSeparator, escapeCharacter] = lines[0]
+    .slice(4, 8)
+    .split("");
+  const delimiters = {
+    field: fieldSeparator,
+    component: componentSeparator,
+    repetition: repetitionSeparator,
+    escape: escapeCharacter,
+  };
+
+  // fields[n] is field n of the segment, as numbered in the spec. MSH-1 is
+  // the field separator itself, so it's put back for MSH.
+  const segments = lines.map((line) => {
+    const fields = line.split(fieldSeparator);
+    if (fields[0] === "MSH") {
+      fields.splice(1, 0, fieldSeparator);
+    }
+    return fields;
+  });
+
+  const message = { delimiters, segments };
+  message.type = [
+    component(message, "MSH", 9, 1),
+    component(message, "MSH", 9, 2),
+  ]
+    .filter(Boolean)
+    .join("^");
+  message.controlId = field(message, "MSH", 10);
+  message.sendingApplication = field(message, "MSH", 3);
+  message.sendingFacility = field(message, "MSH", 4);
+
+  if (!message.type) {
+    throw new Error("HL7 message has no message type (MSH-9)");
+  }
+  return message;
+}
+
+function unescape(value, { escape }) {
+  if (!escape) {
+    return value;
+  }
+  const pattern = new RegExp(`\\${escape}([FSTRE])\\${escape}`, "g");
+  return value.replace(pattern, (_, code) => ESCAPES[code]);
+}
+
+// Raw value of field `n` of `segment` (a segment's fields, or the name of
+// the first segment to look in), or ""
+function field(message, segment, n) {
+  const fields =
+    typeof segment === "string"
+      ? message.segments.find((s) => s[0] === segment)
+      : segment;
+  return fields?.[n] ?? "";
+}
+
+// Component `c` (1-based) of the first repetition of a field, unescaped
+function component(message, segment, n, c) {
+  const { component: separator, repetition } = message.delimiters;
+  const value = field(message, segment, n).split(repetition)[0];
+  return unescape(value.split(separator)[c - 1] ?? "", message.delimiters);
+}
+
+// A PV1 location (point of care^room^bed^facility^...) as a unit and bed
+function location(message, n) {
+  const unit = component(message, "PV1", n, 1);
+  const room = component(message, "PV1", n, 2);
+  const bed = component(message, "PV1", n, 3);
+  return {
+    unit: unit || null,
+    bed: room && bed ? `${room}-${bed}` : bed || room || null,
+  };
+}
+
+// Turn a parsed message into alerts (see AlertRules for the fields). ADT
+// messages give one alert; ORU results give one per OBX segment.
+function toAlerts(message) {
+  const [kind, trigger] = message.type.split("^");
+  const mrn = component(message, "PID", 3, 1) || null;
+  const { unit, bed } = location(message, 3);
+  const base = { source: "hl7", unit, bed, mrn };
+
+  if (kind === "ADT") {
+    const event = ADT_EVENTS[trigger];
+    if (!event) {
+      return [];
+    }
+    const alert = { ...base, id: message.controlId || null, event };
+    if (event === "transfer") {
+      const prior = location(message, 6);
+      alert.fromUnit = prior.unit;
+      alert.fromBed = prior.bed;
+    }
+    return [alert];
+  }
+
+  if (kind === "ORU") {
+    return message.segments
+      .filter((segment) => segment[0] === "OBX")
+      .map((obx, index) => ({
+        ...base,
+        id: message.controlId ? `${message.controlId}-${index + 1}` : null,
+        event: "result",
+        test:
+          component(message, obx, 3, 2) ||
+          component(message, obx, 3, 1) ||
+          null,
+        value: component(message, obx, 5, 1) || null,
+        units: component(message, obx, 6, 1) || null,
+        flag: component(message, obx, 8, 1).toUpperCase() || null,
+        status: component(message, obx, 11, 1) || null, // F final, C corrected, ...
+      }))
+      .filter((alert) => alert.value !== null && alert.status !== "X");
+  }
+
+  return [];
+}
+
+// HL7 timestamp (YYYYMMDDHHMMSS) for the current time, in UTC
+function timestamp() {
+  return new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+// ACK for `message` (or null, if it couldn't be parsed): "AA" accepted,
+// "AE" error, "AR" rejected, with optional text for the sender
+function buildAck(message, code, text = "") {
+  const clean = (value) => String(value ?? "").replace(/[|^~\\&\r\n]/g, " ");
+  const trigger = message?.type.split("^")[1] || "";
+
+  return [
+    [
+      "MSH",
+      "^~\\&",
+      "HOSPITAL-CHAT",
+      "",
+      clean(message?.sendingApplication),
+      clean(message?.sendingFacility),
+      timestamp(),
+      "",
+      `ACK^${clean(trigger)}^ACK`,
+      crypto.randomUUID().slice(0, 20),
+      "P",
+      "2.5",
+    ].join("|"),
+    ["MSA", code, clean(message?.controlId), clean(text).slice(0, 80)].join(
+      "|"
+    ),
+  ].join("\r");
+}
+
+module.exports = {
+  parseMessage,
+  toAlerts,
+  buildAck,
+};
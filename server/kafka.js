@@ -1,43 +1,99 @@
 // server/kafka.js
-const { Kafka } = require("kafkajs");
+// Asynchronous message pipeline. Chat messages are published to a durable
+// topic, and each processor consumes it as its own consumer group.
+const config = require("./config");
+const logger = require("./logger");
+const MemoryBroker = require("./brokers/memory-broker");
+const KafkaBroker = require("./brokers/kafka-broker");
 
-const kafka = new Kafka({
-  clientId: "hospital-chat",
-  brokers: ["localhost:9092"],
-});
+// Pick the broker adapter configured for this deployment
+function createBroker(type) {
+  switch (type) {
+    case "memory":
+      return new MemoryBroker();
+    case "kafka":
+      return new KafkaBroker({
+        clientId: config.KAFKA_CLIENT_ID,
+        brokers: config.KAFKA_BROKERS,
+      });
+    default:
+      throw new Error(`Unknown message broker: ${type}`);
+  }
+}
+
+const broker = createBroker(config.MESSAGE_BROKER);
+let brokerReady = null;
 
-const producer = kafka.producer();
-const consumer = kafka.consumer({ groupId: "chat-processors" });
+// Connect once; every call below waits for it
+function initPipeline() {
+  if (!brokerReady) {
+    brokerReady = broker.connect().then(() => {
+      logger.info("Message pipeline ready", { broker: config.MESSAGE_BROKER });
+      return broker;
+    });
+  }
+  return brokerReady;
+}
 
 async function publishMessage(topic, message) {
-  await producer.send({
-    topic,
-    messages: [
-      {
-        key: message.roomId,
-        value: JSON.stringify(message),
-        timestamp: Date.now(),
-      },
-    ],
-  });
+  try {
+    await initPipeline();
+    await broker.publish(topic, message.roomId, message);
+  } catch (error) {
+    logger.error("Error publishing to the pipeline", { topic, error });
+    throw error;
+  }
 }
 
-async function startMessageProcessor() {
-  await consumer.subscribe({ topic: "chat-messages" });
+// Subscribe each processor ({ name, handle(message) }) to the chat topic
+async function startMessageProcessor(processors) {
+  await initPipeline();
 
-  await consumer.run({
-    eachMessage: async ({ topic, partition, message }) => {
-      const chatMessage = JSON.parse(message.value.toString());
+  for (const processor of processors) {
+    await broker.subscribe(
+      config.CHAT_TOPIC,
+      `chat-${processor.name}`,
+      (message) => processor.handle(message)
+    );
+    logger.info("Processor started", {
+      processor: processor.name,
+      topic: config.CHAT_TOPIC,
+    });
+  }
+}
 
-      // Async processing: store in database, trigger notifications, etc.
-      await storeMessage(chatMessage);
+// Readiness of the broker, in the same shape as the Redis health check
+async function healthCheck() {
+  try {
+    await initPipeline();
+    await broker.ping();
+    return {
+      status: "healthy",
+      broker: config.MESSAGE_BROKER,
+      timestamp: new Date().toISOString(),
+    };
+  } catch (error) {
+    return {
+      status: "unhealthy",
+      broker: config.MESSAGE_BROKER,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
 
-      // Could add: push notifications, analytics, content moderation
-    },
-  });
+async function stopPipeline() {
+  try {
+    await broker.disconnect();
+  } catch (error) {
+    logger.error("Error stopping message pipeline", { error });
+  }
 }
 
 module.exports = {
+  initPipeline,
   publishMessage,
   startMessageProcessor,
+  healthCheck,
+  stopPipeline,
 };
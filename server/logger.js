@@ -0,0 +1,63 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[config.LOG_LEVEL] ?? LEVELS.info;
+
+// Fields (correlationId, socketId, ...) added to every line logged while
+// handling one request or socket event, however deep the call
+const context = new AsyncLocalStorage();
+
+// Errors have no enumerable fields, so JSON.stringify would drop them
+function toLoggable(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+  return value;
+}
+
+// Write one JSON line: time, level, serverId, msg, the context's fields and
+// `fields`. Warnings and errors go to stderr.
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    serverId: config.SERVER_ID,
+    msg,
+    ...context.getStore(),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = toLoggable(value);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// Run `fn` with `fields` (over any already set) on every line it logs
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// The correlation ID of the request or event being handled, if any
+function correlationId() {
+  return context.getStore()?.correlationId ?? null;
+}
+
+module.exports = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+  runWithContext,
+  correlationId,
+};
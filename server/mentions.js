@@ -0,0 +1,156 @@
+const config = require("./config");
+const database = require("./database");
+
+// "@dr.smith", "@charge-nurse" or "@oncall-cardiology". A handle must not
+// follow a word character, so email addresses aren't mentions.
+const MENTION_PATTERN = /(^|[^\w.@])@([a-z0-9](?:[a-z0-9._-]*[a-z0-9])?)/gi;
+
+// Longest piece of the message carried in a mention notification
+const EXCERPT_LENGTH = 140;
+
+// @mentions in chat messages. A handle names one user (by username),
+// everyone with a role, or whoever is on a team's on-call roster. Mentioned
+// staff who may read the room get a `mention` event on whichever server
+// they're connected to, or on their next connect if they're offline.
+// `onMention(mention, recipient, queued)` is called for each one.
+class MentionManager {
+  constructor({
+    redisManager,
+    staffDirectory,
+    roomRegistry,
+    onCallRoster,
+    onMention,
+  }) {
+    this.redisManager = redisManager;
+    this.staffDirectory = staffDirectory;
+    this.roomRegistry = roomRegistry;
+    this.onCallRoster = onCallRoster;
+    this.onMention = onMention;
+  }
+
+  // Distinct lowercase handles in `content`, up to the per-message limit
+  static parse(content) {
+    const handles = new Set();
+    for (const match of String(content).matchAll(MENTION_PATTERN)) {
+      handles.add(match[2].toLowerCase());
+    }
+    return Array.from(handles).slice(0, config.MAX_MENTIONS_PER_MESSAGE);
+  }
+
+  // { type, staff } for a handle; `staff` is empty if it names nobody
+  async lookup(handle) {
+    if (handle.startsWith("oncall-")) {
+      const team = handle.slice("oncall-".length);
+      return {
+        type: "oncall",
+        staff: await this.onCallRoster.getMembers(team),
+      };
+    }
+
+    const user = this.staffDirectory.getByUsername(handle);
+    if (user) {
+      return { type: "user", staff: [user] };
+    }
+    return { type: "role", staff: this.staffDirectory.listByRole(handle) };
+  }
+
+  // Mentions in `content` as [{ handle, type, userIds }], resolved against
+  // the staff directory and the current on-call roster. Handles that name
+  // nobody are left out. Throws an Error with code TOO_MANY_MENTIONS and a
+  // user-facing message if they reach more than MAX_MENTION_RECIPIENTS
+  // people, since each gets paged.
+  async resolve(content) {
+    const mentions = [];
+    const recipients = new Set();
+    for (const handle of MentionManager.parse(content)) {
+      const { type, staff } = await this.lookup(handle);
+      for (const member of staff) {
+        recipients.add(member.userId);
+      }
+      if (recipients.size > config.MAX_MENTION_RECIPIENTS) {
+        const error = new Error(
+          `Mentions reach more than ${config.MAX_MENTION_RECIPIENTS} people (at @${handle}); mention a smaller group`
+        );
+        error.code = "TOO_MANY_MENTIONS";
+        throw error;
+      }
+
+      if (staff.length > 0) {
+        mentions.push({
+          handle,
+          type,
+          userIds: staff.map((member) => member.userId),
+        });
+      }
+    }
+    return mentions;
+  }
+
+  // Notify everyone `message` mentions, apart from its sender and anyone who
+  // can't read its room. Returns how many were notified and queued.
+  async notify(message) {
+    // Each user hears about a message once, through the first handle naming them
+    const recipients = new Map();
+    for (const { handle, userIds } of message.mentions || []) {
+      for (const userId of userIds) {
+        if (userId !== message.userId && !recipients.has(userId)) {
+          recipients.set(userId, handle);
+        }
+      }
+    }
+
+    const room = await this.roomRegistry.getRoom(message.roomId);
+    let notified = 0;
+    let queued = 0;
+
+    for (const [userId, handle] of recipients) {
+      const profile = this.staffDirectory.getById(userId);
+      if (
+        !profile ||
+        (await this.roomRegistry.checkJoin(profile, message.roomId))
+      ) {
+        continue;
+      }
+
+      const mention = {
+        messageId: message.id,
+        roomId: message.roomId,
+        roomName: room?.name || message.roomId,
+        handle,
+        from: { userId: message.userId, userName: message.userName },
+        excerpt: message.content.slice(0, EXCERPT_LENGTH),
+        priority: message.priority,
+        timestamp: message.timestamp,
+      };
+
+      const online = await this.redisManager.isUserOnline(userId);
+      if (online) {
+        await this.redisManager.publishToUsers([userId], "mention", mention);
+        notified++;
+      } else if (await this.redisManager.queueMention(userId, mention)) {
+        queued++;
+      }
+      this.onMention?.(mention, profile, !online);
+    }
+
+    return { notified, queued };
+  }
+
+  // Mentions held for a user while they were offline, oldest first, minus
+  // any whose message has since been deleted
+  async takeQueued(userId) {
+    const queued = await this.redisManager.takeQueuedMentions(userId);
+    const live = [];
+    for (const mention of queued) {
+      const message = await database
+        .getMessage(mention.messageId)
+        .catch(() => null);
+      if (!message?.deletedAt) {
+        live.push(mention);
+      }
+    }
+    return live;
+  }
+}
+
+module.exports = MentionManager;
@@ -0,0 +1,84 @@
+const client = require("prom-client");
+const config = require("./config");
+const ConversationManager = require("./conversations");
+
+// Prometheus metrics for this server, served as text from /metrics. Every
+// series carries the server's ID, so a scrape of each instance can be told
+// apart (and summed) in queries.
+const register = new client.Registry();
+register.setDefaultLabels({ server_id: config.SERVER_ID });
+client.collectDefaultMetrics({ register });
+
+const messagesSent = new client.Counter({
+  name: "chat_messages_sent_total",
+  help: "Chat messages sent by clients (or the server) through this server",
+  labelNames: ["room", "priority"],
+  registers: [register],
+});
+
+const messagesRelayed = new client.Counter({
+  name: "chat_messages_relayed_total",
+  help: "Chat messages from other servers delivered to this server's clients",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+const publishDuration = new client.Histogram({
+  name: "chat_redis_publish_duration_seconds",
+  help: "Time to publish an event to a Redis channel",
+  labelNames: ["channel"],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1],
+  registers: [register],
+});
+
+const roomJoins = new client.Counter({
+  name: "chat_room_joins_total",
+  help: "Sockets joining a room on this server",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+const roomLeaves = new client.Counter({
+  name: "chat_room_leaves_total",
+  help: "Sockets leaving a room on this server, including on disconnect",
+  labelNames: ["room"],
+  registers: [register],
+});
+
+const redisErrors = new client.Counter({
+  name: "chat_redis_errors_total",
+  help: "Failed Redis operations and connection errors",
+  labelNames: ["operation"],
+  registers: [register],
+});
+
+const socketConnections = new client.Gauge({
+  name: "chat_socket_connections",
+  help: "Open Socket.IO connections on this server",
+  registers: [register],
+});
+
+const socketConnectionsTotal = new client.Counter({
+  name: "chat_socket_connections_total",
+  help: "Socket.IO connections accepted by this server",
+  registers: [register],
+});
+
+// Conversations are per group of staff, so they share one label value
+// rather than each adding series
+function roomLabel(roomId) {
+  return ConversationManager.isConversationId(roomId) ? "conversation" : roomId;
+}
+
+module.exports = {
+  register,
+  roomLabel,
+  messagesSent,
+  messagesRelayed,
+  publishDuration,
+  roomJoins,
+  roomLeaves,
+  redisErrors,
+  socketConnections,
+  socketConnectionsTotal,
+};
@@ -0,0 +1,73 @@
+const logger = require("./logger");
+
+// Team names become handles like "@oncall-cardiology"
+const TEAM_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Who is on call for each team. Kept in Redis so every server sees the same
+// roster, and maintained by admins through the /oncall API.
+class OnCallRoster {
+  constructor({ redisManager, staffDirectory }) {
+    this.redisManager = redisManager;
+    this.staffDirectory = staffDirectory;
+  }
+
+  static isValidTeam(team) {
+    return TEAM_PATTERN.test(String(team));
+  }
+
+  async list() {
+    const entries = await this.redisManager.getOnCallRoster();
+    return entries.sort((a, b) => a.team.localeCompare(b.team));
+  }
+
+  // Staff ({ userId, userName }) on call for a team; empty if it has no roster
+  async getMembers(team) {
+    const entry = (await this.list()).find((e) => e.team === team);
+    return entry ? entry.members : [];
+  }
+
+  // Replace a team's roster. Throws an Error with a user-facing message if
+  // the team or any of the staff are invalid.
+  async set(team, userIds, actor) {
+    if (!OnCallRoster.isValidTeam(team)) {
+      throw new Error(
+        "Team names are lowercase letters, digits and dashes (max 40)"
+      );
+    }
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      throw new Error("userIds must be a non-empty array");
+    }
+
+    const members = [...new Set(userIds)].map((id) =>
+      this.staffDirectory.getById(id)
+    );
+    if (members.some((member) => !member)) {
+      throw new Error("Unknown staff member");
+    }
+
+    const entry = {
+      team,
+      handle: `oncall-${team}`,
+      members: members.map(({ userId, userName }) => ({ userId, userName })),
+      updatedAt: new Date().toISOString(),
+      updatedBy: { userId: actor.userId, userName: actor.userName },
+    };
+
+    if (!(await this.redisManager.setOnCall(team, entry))) {
+      throw new Error("Failed to update the on-call roster");
+    }
+    logger.info("On-call roster set", {
+      userId: actor.userId,
+      team,
+      members: entry.members.map((member) => member.userId),
+    });
+    return entry;
+  }
+
+  // True if the team had a roster to remove
+  async clear(team) {
+    return this.redisManager.removeOnCall(team);
+  }
+}
+
+module.exports = OnCallRoster;
@@ -0,0 +1,28 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+// Normalize a patient identifier (MRN or encounter ID) for tagging and
+// lookup. Returns null if it isn't a valid identifier.
+function normalizeMrn(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const mrn = value.trim().toUpperCase();
+  return config.MRN_PATTERN.test(mrn) ? mrn : null;
+}
+
+// Each patient has one thread per room. The ID is derived from both, so
+// every server computes the same thread without coordination.
+function patientThreadId(roomId, mrn) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${roomId}\n${mrn}`)
+    .digest("hex")
+    .slice(0, 20);
+  return `pt-${hash}`;
+}
+
+module.exports = {
+  normalizeMrn,
+  patientThreadId,
+};
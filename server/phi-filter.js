@@ -0,0 +1,88 @@
+const config = require("./config");
+const logger = require("./logger");
+
+// Dates as staff usually type them: 3/14/1962, 03-14-1962 or 1962-03-14
+const DATE = String.raw`(?:\d{1,2}[/-]\d{1,2}[/-](?:19|20)\d{2}|(?:19|20)\d{2}-\d{2}-\d{2})`;
+
+// PHI detectors, keyed by the rule name used in room policies
+const DETECTORS = {
+  ssn: {
+    label: "SSN",
+    patterns: [/\b\d{3}-\d{2}-\d{4}\b/g],
+  },
+  phone: {
+    label: "phone number",
+    patterns: [
+      /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g,
+    ],
+  },
+  email: {
+    label: "email address",
+    patterns: [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g],
+  },
+  // A labelled date of birth, or a full name followed closely by a date
+  dob: {
+    label: "date of birth",
+    patterns: [
+      new RegExp(
+        String.raw`\b(?:DOB|D\.O\.B\.?|date of birth|born)\b[:\s]*${DATE}`,
+        "gi"
+      ),
+      new RegExp(
+        String.raw`\b[A-Z][a-z]+,? [A-Z][a-z]+\b[^\n.]{0,30}?${DATE}`,
+        "g"
+      ),
+    ],
+  },
+};
+
+// Check outgoing message content against a room's PHI policy (rule name ->
+// "allow" | "warn" | "redact" | "block", over PHI_DEFAULT_POLICY).
+// Returns the content to send (with redactions applied), what was found,
+// and whether the message must be blocked.
+function applyPhiPolicy(content, roomPolicy = {}) {
+  const policy = { ...config.PHI_DEFAULT_POLICY, ...roomPolicy };
+  const findings = [];
+  let filtered = content;
+
+  for (const [type, detector] of Object.entries(DETECTORS)) {
+    let action = policy[type] || "allow";
+    if (!config.PHI_ACTIONS.includes(action)) {
+      // A typo in a room policy must not let PHI through
+      logger.warn("Unknown PHI action, blocking", { action, type });
+      action = "block";
+    }
+    if (action === "allow") {
+      continue;
+    }
+
+    const count = detector.patterns.reduce(
+      (total, pattern) => total + (content.match(pattern) || []).length,
+      0
+    );
+    if (count === 0) {
+      continue;
+    }
+
+    findings.push({ type, label: detector.label, action, count });
+
+    if (action === "redact") {
+      for (const pattern of detector.patterns) {
+        filtered = filtered.replace(
+          pattern,
+          `[${detector.label.toUpperCase()} REDACTED]`
+        );
+      }
+    }
+  }
+
+  return {
+    content: filtered,
+    findings,
+    blocked: findings.some((finding) => finding.action === "block"),
+  };
+}
+
+module.exports = {
+  applyPhiPolicy,
+};
@@ -0,0 +1,9 @@
+// Daily message counts per room, priority and type
+function createAnalyticsProcessor({ redisManager }) {
+  return {
+    name: "analytics",
+    handle: (message) => redisManager.recordMessageStats(message),
+  };
+}
+
+module.exports = createAnalyticsProcessor;
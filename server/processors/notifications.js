@@ -0,0 +1,22 @@
+// Conversation unread counts, and conversation_activity events that nudge
+// participants' conversation lists
+function createNotificationProcessor({ conversations, redisManager }) {
+  return {
+    name: "notifications",
+    async handle(message) {
+      const conversation = await conversations.get(message.roomId);
+      if (!conversation) {
+        return;
+      }
+
+      await conversations.recordMessage(conversation, message);
+      await redisManager.publishToUsers(
+        conversation.participantIds,
+        "conversation_activity",
+        { conversationId: conversation.id, messageId: message.id }
+      );
+    },
+  };
+}
+
+module.exports = createNotificationProcessor;
@@ -0,0 +1,87 @@
+const config = require("./config");
+const logger = require("./logger");
+
+// Flood protection for socket events, shared by every server through Redis.
+// Each limited event has a token bucket per user and, optionally, per room.
+// Users who keep running into their limits are muted for a while.
+class RateLimiter {
+  constructor({ redisManager, audit }) {
+    this.redisManager = redisManager;
+    this.audit = audit;
+  }
+
+  // Null if `user` may go ahead with `event`, else { event, roomId,
+  // retryAfter (ms), muted, message } to send back to the client
+  async check(user, event, roomId = null) {
+    const limits = config.RATE_LIMITS[event];
+    if (!limits) {
+      return null;
+    }
+
+    const muted = await this.redisManager.getMuteRemaining(user.userId);
+    if (muted > 0) {
+      return this.limited(event, roomId, muted, true);
+    }
+
+    const userBucket = await this.redisManager.consumeToken(
+      `${event}:user:${user.userId}`,
+      limits.user.capacity,
+      limits.user.perSecond
+    );
+    if (!userBucket.allowed) {
+      return this.recordViolation(user, event, roomId, userBucket.retryAfter);
+    }
+
+    // A busy room slows everyone down, but isn't held against anyone
+    if (limits.room && roomId) {
+      const roomBucket = await this.redisManager.consumeToken(
+        `${event}:room:${roomId}`,
+        limits.room.capacity,
+        limits.room.perSecond
+      );
+      if (!roomBucket.allowed) {
+        return this.limited(event, roomId, roomBucket.retryAfter, false);
+      }
+    }
+
+    return null;
+  }
+
+  async recordViolation(user, event, roomId, retryAfter) {
+    const violations = await this.redisManager.recordRateLimitViolation(
+      user.userId,
+      config.MUTE_VIOLATION_WINDOW_MS
+    );
+    if (violations < config.MUTE_AFTER_VIOLATIONS) {
+      return this.limited(event, roomId, retryAfter, false);
+    }
+
+    await this.redisManager.muteUser(user.userId, config.MUTE_DURATION_MS);
+    logger.warn("User muted for rate limit violations", {
+      userId: user.userId,
+      event,
+      violations,
+      seconds: config.MUTE_DURATION_MS / 1000,
+    });
+    this.audit.record("user_muted", user, {
+      roomId,
+      details: { event, violations, durationMs: config.MUTE_DURATION_MS },
+    });
+    return this.limited(event, roomId, config.MUTE_DURATION_MS, true);
+  }
+
+  limited(event, roomId, retryAfter, muted) {
+    const seconds = Math.ceil(retryAfter / 1000);
+    return {
+      event,
+      roomId,
+      retryAfter,
+      muted,
+      message: muted
+        ? `You're sending too fast and are muted for ${seconds}s`
+        : `Slow down: try again in ${seconds}s`,
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -1,4 +1,38 @@
 const Redis = require("ioredis");
+const config = require("./config");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+// Token bucket kept as a hash of { tokens, ts }. ARGV: capacity, refill rate
+// per ms, now (ms). Returns { allowed (1/0), ms until a token is available }.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "ts")
+local tokens = tonumber(bucket[1]) or capacity
+local elapsed = math.max(0, now - (tonumber(bucket[2]) or now))
+tokens = math.min(capacity, tokens + elapsed * rate)
+
+local allowed = 0
+local retryAfter = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfter = math.ceil((1 - tokens) / rate)
+end
+
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "ts", tostring(now))
+redis.call("PEXPIRE", KEYS[1], math.ceil(capacity / rate))
+return { allowed, retryAfter }
+`;
+
+// Log a failed Redis operation (named after the method) and count it
+function logRedisError(operation, error, fields = {}) {
+  metrics.redisErrors.inc({ operation });
+  logger.error(`Redis ${operation} failed`, { operation, error, ...fields });
+}
 
 class RedisManager {
   constructor() {
@@ -39,37 +73,48 @@ class RedisManager {
       const names = ["publisher", "subscriber", "client"];
 
       redis.on("connect", () => {
-        console.log(`✅ Redis ${names[index]} connected`);
+        logger.info("Redis connected", { connection: names[index] });
         this.isConnected = true;
       });
 
       redis.on("error", (error) => {
-        console.error(`❌ Redis ${names[index]} error:`, error.message);
+        metrics.redisErrors.inc({ operation: "connection" });
+        logger.error("Redis connection error", {
+          connection: names[index],
+          error: error.message,
+        });
         this.isConnected = false;
       });
 
       redis.on("close", () => {
-        console.log(`🔌 Redis ${names[index]} connection closed`);
+        logger.info("Redis connection closed", { connection: names[index] });
         this.isConnected = false;
       });
     });
   }
 
-  // Publish a message to a room channel
+  // Publish a message to a room channel. The correlation ID of the request
+  // or event being handled goes along, so other servers' logs share it.
   async publishToRoom(roomId, message) {
     try {
       const channel = `room:${roomId}`;
-      const messageStr = JSON.stringify(message);
+      const messageStr = JSON.stringify({
+        ...message,
+        correlationId: logger.correlationId() ?? undefined,
+      });
 
+      const endTimer = metrics.publishDuration.startTimer({ channel: "room" });
       await this.publisher.publish(channel, messageStr);
-      console.log(
-        `📤 Published to ${channel}:`,
-        message.content?.substring(0, 50)
-      );
+      endTimer();
+      logger.debug("Published to room channel", {
+        channel,
+        type: message.type,
+        messageId: message.id,
+      });
 
       return true;
     } catch (error) {
-      console.error("Error publishing message:", error);
+      logRedisError("publishToRoom", error);
       return false;
     }
   }
@@ -86,23 +131,23 @@ class RedisManager {
             const parsedMessage = JSON.parse(message);
             const roomId = receivedChannel.split(":")[1];
 
-            console.log(
-              `📥 Received from ${receivedChannel}:`,
-              parsedMessage.content?.substring(0, 50)
-            );
+            logger.debug("Received from room channel", {
+              channel: receivedChannel,
+              type: parsedMessage.type,
+            });
             callback(roomId, parsedMessage);
           } catch (error) {
-            console.error("Error parsing received message:", error);
+            logger.error("Error parsing received message", { error });
           }
         });
       }
 
       await this.subscriber.subscribe(channel);
-      console.log(`🔔 Subscribed to ${channel}`);
+      logger.debug("Subscribed to channel", { channel });
 
       return true;
     } catch (error) {
-      console.error("Error subscribing to room:", error);
+      logRedisError("subscribeToRoom", error);
       return false;
     }
   }
@@ -112,89 +157,200 @@ class RedisManager {
     try {
       const channel = `room:${roomId}`;
       await this.subscriber.unsubscribe(channel);
-      console.log(`🔕 Unsubscribed from ${channel}`);
+      logger.debug("Unsubscribed from channel", { channel });
       return true;
     } catch (error) {
-      console.error("Error unsubscribing from room:", error);
+      logRedisError("unsubscribeFromRoom", error);
       return false;
     }
   }
 
-  // Store connection info in Redis (for multi-server awareness)
+  // Store connection info in Redis (for multi-server awareness) and mark the
+  // socket present for its user and in each of its rooms. Called on connect,
+  // join/leave and every presence heartbeat; entries a crashed server stops
+  // refreshing expire.
   async storeConnection(socketId, connectionInfo) {
     try {
-      const key = `connection:${socketId}`;
+      const rooms = Array.from(connectionInfo.rooms || []);
       const value = JSON.stringify({
         ...connectionInfo,
-        serverId: process.env.SERVER_ID || "server-1",
+        rooms,
+        serverId: config.SERVER_ID,
         timestamp: new Date().toISOString(),
       });
 
-      // Store with 1 hour expiration
-      await this.client.setex(key, 3600, value);
+      const expiresAt = Date.now() + config.PRESENCE_TTL_MS;
+      const userKey = `presence:user:${connectionInfo.userId}`;
+      const pipeline = this.client
+        .multi()
+        .set(`connection:${socketId}`, value, "PX", config.PRESENCE_TTL_MS)
+        .zadd(userKey, expiresAt, socketId)
+        .pexpire(userKey, config.PRESENCE_TTL_MS);
+      for (const roomId of rooms) {
+        pipeline.zadd(`presence:room:${roomId}`, expiresAt, socketId);
+      }
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logRedisError("storeConnection", error);
+      return false;
+    }
+  }
+
+  // Take a socket out of one room's presence set
+  async removeRoomPresence(roomId, socketId) {
+    try {
+      await this.client.zrem(`presence:room:${roomId}`, socketId);
+      return true;
+    } catch (error) {
+      logRedisError("removeRoomPresence", error);
+      return false;
+    }
+  }
+
+  // Mark a socket gone for its user straight away, even if its rooms are
+  // held for it to resume
+  async removeUserPresence(userId, socketId) {
+    try {
+      await this.client.zrem(`presence:user:${userId}`, socketId);
+      return true;
+    } catch (error) {
+      logRedisError("removeUserPresence", error);
+      return false;
+    }
+  }
+
+  // True if the user has a live socket on any server
+  async isUserOnline(userId) {
+    try {
+      const key = `presence:user:${userId}`;
+      await this.client.zremrangebyscore(key, "-inf", Date.now());
+      return (await this.client.zcard(key)) > 0;
+    } catch (error) {
+      logRedisError("isUserOnline", error);
+      return false;
+    }
+  }
+
+  // Remove connection info and the socket's presence in its rooms
+  async removeConnection(socketId, rooms = []) {
+    try {
+      const pipeline = this.client.multi().del(`connection:${socketId}`);
+      for (const roomId of rooms) {
+        pipeline.zrem(`presence:room:${roomId}`, socketId);
+      }
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logRedisError("removeConnection", error);
+      return false;
+    }
+  }
+
+  // Park a disconnected socket's session for resumption. It outlives the
+  // grace period so the grace timer can still find and expire it.
+  async storeDetachedSession(resumeToken, session) {
+    try {
+      await this.client.set(
+        `session:${resumeToken}`,
+        JSON.stringify(session),
+        "PX",
+        config.RESUME_GRACE_MS * 2
+      );
       return true;
     } catch (error) {
-      console.error("Error storing connection:", error);
+      logRedisError("storeDetachedSession", error);
+      return false;
+    }
+  }
+
+  // Atomically read and delete a parked session; null if there is none
+  async claimDetachedSession(resumeToken) {
+    try {
+      const [[, session]] = await this.client
+        .multi()
+        .get(`session:${resumeToken}`)
+        .del(`session:${resumeToken}`)
+        .exec();
+      return session ? JSON.parse(session) : null;
+    } catch (error) {
+      logRedisError("claimDetachedSession", error);
+      return null;
+    }
+  }
+
+  // Delete a parked session; true if it was still there
+  async expireDetachedSession(resumeToken) {
+    try {
+      return (await this.client.del(`session:${resumeToken}`)) === 1;
+    } catch (error) {
+      logRedisError("expireDetachedSession", error);
       return false;
     }
   }
 
-  // Remove connection info from Redis
-  async removeConnection(socketId) {
+  // Set a user's presence status; it applies to all of their connections
+  async setUserStatus(userId, status) {
     try {
-      const key = `connection:${socketId}`;
-      await this.client.del(key);
+      await this.client.set(
+        `presence:status:${userId}`,
+        JSON.stringify({ status, updatedAt: new Date().toISOString() }),
+        "EX",
+        config.PRESENCE_STATUS_TTL
+      );
       return true;
     } catch (error) {
-      console.error("Error removing connection:", error);
+      logRedisError("setUserStatus", error);
       return false;
     }
   }
 
-  // Get active room statistics
+  // Get active room statistics. Each room keeps a sorted set of socket IDs
+  // scored by when their presence expires, so this is O(room size).
   async getRoomStats(roomId) {
     try {
-      const pattern = `connection:*`;
-      const keys = await this.client.keys(pattern);
-
-      let roomUserCount = 0;
-      const users = [];
-      const userIds = new Set(); // Prevent duplicate counting
-
-      for (const key of keys) {
-        try {
-          const connectionData = await this.client.get(key);
-          if (connectionData) {
-            const connection = JSON.parse(connectionData);
-            if (
-              connection.roomId === roomId &&
-              !userIds.has(connection.userId)
-            ) {
-              roomUserCount++;
-              userIds.add(connection.userId);
-              users.push({
-                userId: connection.userId,
-                userName: connection.userName,
-                serverId: connection.serverId,
-                joinedAt: connection.timestamp,
-              });
-            }
-          }
-        } catch (parseError) {
-          console.warn("Failed to parse connection data for key:", key);
-          // Clean up corrupted data
-          await this.client.del(key);
+      const key = `presence:room:${roomId}`;
+      await this.client.zremrangebyscore(key, "-inf", Date.now());
+
+      const socketIds = await this.client.zrange(key, 0, -1);
+      const connections = socketIds.length
+        ? await this.client.mget(socketIds.map((id) => `connection:${id}`))
+        : [];
+
+      const users = new Map(); // One entry per user, however many sockets
+      connections.forEach((connectionData) => {
+        if (!connectionData) {
+          return;
         }
-      }
+        const connection = JSON.parse(connectionData);
+        if (!users.has(connection.userId)) {
+          users.set(connection.userId, {
+            userId: connection.userId,
+            userName: connection.userName,
+            serverId: connection.serverId,
+            joinedAt: connection.connectedAt,
+          });
+        }
+      });
+
+      const statuses = users.size
+        ? await this.client.mget(
+            Array.from(users.keys(), (userId) => `presence:status:${userId}`)
+          )
+        : [];
+      const list = Array.from(users.values()).map((user, index) => ({
+        ...user,
+        status: statuses[index] ? JSON.parse(statuses[index]).status : "online",
+      }));
 
       return {
         roomId,
-        userCount: roomUserCount,
-        users,
+        userCount: list.length,
+        users: list,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
-      console.error("Error getting room stats:", error);
+      logRedisError("getRoomStats", error);
       return {
         roomId,
         userCount: 0,
@@ -204,6 +360,557 @@ class RedisManager {
     }
   }
 
+  // Record that a user acknowledged a message; the first ack per user wins
+  async recordAcknowledgement(messageId, ack) {
+    try {
+      const key = `acks:${messageId}`;
+      await this.client.hsetnx(key, ack.userId, JSON.stringify(ack));
+      // Keep acknowledgements for a day; the message store has the durable copy
+      await this.client.expire(key, 86400);
+      return true;
+    } catch (error) {
+      logRedisError("recordAcknowledgement", error);
+      return false;
+    }
+  }
+
+  // All acknowledgements for a message, oldest first
+  async getAcknowledgements(messageId) {
+    try {
+      const acks = await this.client.hgetall(`acks:${messageId}`);
+      return Object.values(acks)
+        .map((ack) => JSON.parse(ack))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    } catch (error) {
+      logRedisError("getAcknowledgements", error);
+      return [];
+    }
+  }
+
+  // Add a user's reaction to a message, or remove it if it's already there.
+  // Returns true if added, false if removed, null on error. Redis drops a
+  // message's reactions after a week; `stored` (from the message store)
+  // brings them back the next time someone reacts.
+  async toggleReaction(messageId, user, reaction, stored = []) {
+    try {
+      const key = `reactions:${messageId}`;
+      if (stored.length > 0 && !(await this.client.exists(key))) {
+        const fields = {};
+        for (const group of stored) {
+          for (const { userId, userName } of group.users) {
+            fields[JSON.stringify([group.reaction, userId])] = userName;
+          }
+        }
+        await this.client.hset(key, fields);
+      }
+
+      const field = JSON.stringify([reaction, user.userId]);
+      const added = await this.client.hsetnx(key, field, user.userName);
+      if (!added) {
+        await this.client.hdel(key, field);
+      }
+      await this.client.expire(key, 7 * 86400);
+      return added === 1;
+    } catch (error) {
+      logRedisError("toggleReaction", error);
+      return null;
+    }
+  }
+
+  // A message's reactions as [{ reaction, count, users }], in the order
+  // they're offered (emoji first, then quick replies)
+  async getReactions(messageId) {
+    try {
+      const hash = await this.client.hgetall(`reactions:${messageId}`);
+      const groups = new Map();
+      for (const [field, userName] of Object.entries(hash)) {
+        const [reaction, userId] = JSON.parse(field);
+        if (!groups.has(reaction)) {
+          groups.set(reaction, { reaction, count: 0, users: [] });
+        }
+        const group = groups.get(reaction);
+        group.count++;
+        group.users.push({ userId, userName });
+      }
+
+      const order = [...config.REACTIONS, ...config.QUICK_REPLIES];
+      return Array.from(groups.values()).sort(
+        (a, b) => order.indexOf(a.reaction) - order.indexOf(b.reaction)
+      );
+    } catch (error) {
+      logRedisError("getReactions", error);
+      return [];
+    }
+  }
+
+  // On-call roster: one entry per team, shared by every server
+  async setOnCall(team, entry) {
+    try {
+      await this.client.hset("oncall:roster", team, JSON.stringify(entry));
+      return true;
+    } catch (error) {
+      logRedisError("setOnCall", error);
+      return false;
+    }
+  }
+
+  // True if the team had a roster entry
+  async removeOnCall(team) {
+    try {
+      return (await this.client.hdel("oncall:roster", team)) === 1;
+    } catch (error) {
+      logRedisError("removeOnCall", error);
+      return false;
+    }
+  }
+
+  async getOnCallRoster() {
+    try {
+      const roster = await this.client.hgetall("oncall:roster");
+      return Object.values(roster).map((entry) => JSON.parse(entry));
+    } catch (error) {
+      logRedisError("getOnCallRoster", error);
+      return [];
+    }
+  }
+
+  // Webhook registry, shared by every server
+  async storeWebhook(webhook) {
+    try {
+      await this.client.hset("webhooks", webhook.id, JSON.stringify(webhook));
+      return true;
+    } catch (error) {
+      logRedisError("storeWebhook", error);
+      return false;
+    }
+  }
+
+  async getWebhooks() {
+    try {
+      const webhooks = await this.client.hgetall("webhooks");
+      return Object.values(webhooks).map((webhook) => JSON.parse(webhook));
+    } catch (error) {
+      logRedisError("getWebhooks", error);
+      return [];
+    }
+  }
+
+  // True if the webhook existed
+  async removeWebhook(webhookId) {
+    try {
+      return (await this.client.hdel("webhooks", webhookId)) === 1;
+    } catch (error) {
+      logRedisError("removeWebhook", error);
+      return false;
+    }
+  }
+
+  // Webhook deliveries that ran out of retries, newest first and capped
+  async pushDeadLetter(delivery) {
+    try {
+      await this.client
+        .multi()
+        .lpush("webhooks:dead", JSON.stringify(delivery))
+        .ltrim("webhooks:dead", 0, config.WEBHOOK_DEAD_LETTER_MAX - 1)
+        .exec();
+      return true;
+    } catch (error) {
+      logRedisError("pushDeadLetter", error);
+      return false;
+    }
+  }
+
+  async getDeadLetters(limit) {
+    try {
+      const entries = await this.client.lrange("webhooks:dead", 0, limit - 1);
+      return entries.map((entry) => JSON.parse(entry));
+    } catch (error) {
+      logRedisError("getDeadLetters", error);
+      return [];
+    }
+  }
+
+  // Remove one dead letter by delivery ID and return it, or null
+  async takeDeadLetter(deliveryId) {
+    try {
+      const entries = await this.client.lrange("webhooks:dead", 0, -1);
+      const entry = entries.find((raw) => JSON.parse(raw).id === deliveryId);
+      if (!entry || !(await this.client.lrem("webhooks:dead", 1, entry))) {
+        return null;
+      }
+      return JSON.parse(entry);
+    } catch (error) {
+      logRedisError("takeDeadLetter", error);
+      return null;
+    }
+  }
+
+  // Hold a mention for a user who is offline, oldest first and capped
+  async queueMention(userId, mention) {
+    try {
+      const key = `mentions:${userId}`;
+      await this.client
+        .multi()
+        .rpush(key, JSON.stringify(mention))
+        .ltrim(key, -config.MENTION_QUEUE_MAX, -1)
+        .expire(key, config.MENTION_QUEUE_TTL)
+        .exec();
+      return true;
+    } catch (error) {
+      logRedisError("queueMention", error);
+      return false;
+    }
+  }
+
+  // Atomically read and clear a user's queued mentions
+  async takeQueuedMentions(userId) {
+    try {
+      const key = `mentions:${userId}`;
+      const [[, mentions]] = await this.client
+        .multi()
+        .lrange(key, 0, -1)
+        .del(key)
+        .exec();
+      return mentions.map((mention) => JSON.parse(mention));
+    } catch (error) {
+      logRedisError("takeQueuedMentions", error);
+      return [];
+    }
+  }
+
+  // Remember who sent a message so receipts can be validated and routed.
+  // Receipts expire after a week; they aren't kept in the message store.
+  async trackMessageReceipts(message) {
+    try {
+      const key = `receipts:${message.id}`;
+      await this.client.hset(key, {
+        roomId: message.roomId,
+        senderId: message.userId,
+      });
+      await this.client.expire(key, 7 * 86400);
+      return true;
+    } catch (error) {
+      logRedisError("trackMessageReceipts", error);
+      return false;
+    }
+  }
+
+  // Room and sender of a tracked message, or null if it isn't tracked
+  async getReceiptInfo(messageId) {
+    try {
+      const info = await this.client.hgetall(`receipts:${messageId}`);
+      return info.roomId ? info : null;
+    } catch (error) {
+      logRedisError("getReceiptInfo", error);
+      return null;
+    }
+  }
+
+  // Record a "delivered" or "read" receipt (read implies delivered).
+  // Returns true if this is news, false if the user had already sent it.
+  async recordReceipt(messageId, user, state) {
+    try {
+      const states = state === "read" ? ["delivered", "read"] : ["delivered"];
+      let changed = false;
+
+      for (const s of states) {
+        const key = `receipts:${messageId}:${s}`;
+        const added = await this.client.hsetnx(key, user.userId, user.userName);
+        await this.client.expire(key, 7 * 86400);
+        changed = changed || added === 1;
+      }
+
+      return changed;
+    } catch (error) {
+      logRedisError("recordReceipt", error);
+      return false;
+    }
+  }
+
+  // Who has received and read a message
+  async getReceipts(messageId) {
+    try {
+      const key = `receipts:${messageId}`;
+      const [delivered, read] = await Promise.all([
+        this.client.hgetall(`${key}:delivered`),
+        this.client.hgetall(`${key}:read`),
+      ]);
+
+      const toList = (hash) =>
+        Object.entries(hash).map(([userId, userName]) => ({
+          userId,
+          userName,
+        }));
+
+      return { delivered: toList(delivered), read: toList(read) };
+    } catch (error) {
+      logRedisError("getReceipts", error);
+      return { delivered: [], read: [] };
+    }
+  }
+
+  // Publish an event for specific users; every server relays it to those
+  // users' local sockets
+  async publishToUsers(userIds, event, payload) {
+    try {
+      const endTimer = metrics.publishDuration.startTimer({ channel: "users" });
+      await this.publisher.publish(
+        "users",
+        JSON.stringify({ userIds, event, payload })
+      );
+      endTimer();
+      return true;
+    } catch (error) {
+      logRedisError("publishToUsers", error);
+      return false;
+    }
+  }
+
+  async subscribeToUserEvents() {
+    try {
+      await this.subscriber.subscribe("users");
+      logger.debug("Subscribed to channel", { channel: "users" });
+      return true;
+    } catch (error) {
+      logRedisError("subscribeToUserEvents", error);
+      return false;
+    }
+  }
+
+  // Store a conversation and index it under each participant
+  async storeConversation(conversation) {
+    try {
+      await this.client.set(
+        `conversation:${conversation.id}`,
+        JSON.stringify(conversation)
+      );
+      for (const userId of conversation.participantIds) {
+        await this.client.sadd(`user:${userId}:conversations`, conversation.id);
+      }
+      return true;
+    } catch (error) {
+      logRedisError("storeConversation", error);
+      return false;
+    }
+  }
+
+  async getConversation(conversationId) {
+    try {
+      const data = await this.client.get(`conversation:${conversationId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logRedisError("getConversation", error);
+      return null;
+    }
+  }
+
+  async getUserConversationIds(userId) {
+    try {
+      return await this.client.smembers(`user:${userId}:conversations`);
+    } catch (error) {
+      logRedisError("getUserConversationIds", error);
+      return [];
+    }
+  }
+
+  // Unread message counts per conversation, kept in one hash per user
+  async incrementUnread(userId, conversationId) {
+    try {
+      await this.client.hincrby(`unread:${userId}`, conversationId, 1);
+      return true;
+    } catch (error) {
+      logRedisError("incrementUnread", error);
+      return false;
+    }
+  }
+
+  async resetUnread(userId, conversationId) {
+    try {
+      await this.client.hdel(`unread:${userId}`, conversationId);
+      return true;
+    } catch (error) {
+      logRedisError("resetUnread", error);
+      return false;
+    }
+  }
+
+  async getUnreadCounts(userId) {
+    try {
+      const counts = await this.client.hgetall(`unread:${userId}`);
+      return Object.fromEntries(
+        Object.entries(counts).map(([id, count]) => [id, parseInt(count, 10)])
+      );
+    } catch (error) {
+      logRedisError("getUnreadCounts", error);
+      return {};
+    }
+  }
+
+  // Next sequence number for a room; sequences only ever increase
+  async nextRoomSequence(roomId) {
+    return this.client.incr(`seq:${roomId}`);
+  }
+
+  // Claim a client idempotency key for a message. Returns null if the key is
+  // new, or the ID of the message already sent with it.
+  async claimClientMessage(userId, clientMessageId, messageId) {
+    const key = `dedup:${userId}:${clientMessageId}`;
+    const claimed = await this.client.set(
+      key,
+      messageId,
+      "EX",
+      config.DEDUP_TTL,
+      "NX"
+    );
+    return claimed ? null : this.client.get(key);
+  }
+
+  // Release a claim so the client can retry a message that failed to send
+  async releaseClientMessage(userId, clientMessageId) {
+    try {
+      await this.client.del(`dedup:${userId}:${clientMessageId}`);
+    } catch (error) {
+      logRedisError("releaseClientMessage", error);
+    }
+  }
+
+  // Cluster-wide lock that lapses after `ttlMs`. True if `owner` got it.
+  async acquireLock(name, owner, ttlMs) {
+    try {
+      const acquired = await this.client.set(
+        `lock:${name}`,
+        owner,
+        "PX",
+        ttlMs,
+        "NX"
+      );
+      return acquired === "OK";
+    } catch (error) {
+      logRedisError("acquireLock", error, { lock: name });
+      return false;
+    }
+  }
+
+  // Take one token from the bucket at `key`, refilled at `perSecond` up to
+  // `capacity`. Returns { allowed, retryAfter } with retryAfter in ms. Fails
+  // open, so a Redis outage doesn't stop clinical messaging.
+  async consumeToken(key, capacity, perSecond) {
+    try {
+      const [allowed, retryAfter] = await this.client.eval(
+        TOKEN_BUCKET_SCRIPT,
+        1,
+        `ratelimit:${key}`,
+        capacity,
+        perSecond / 1000,
+        Date.now()
+      );
+      return { allowed: allowed === 1, retryAfter };
+    } catch (error) {
+      logRedisError("consumeToken", error, { key });
+      return { allowed: true, retryAfter: 0 };
+    }
+  }
+
+  // Count a rate limit violation in the current window; returns the count
+  async recordRateLimitViolation(userId, windowMs) {
+    try {
+      const key = `ratelimit:violations:${userId}`;
+      const count = await this.client.incr(key);
+      if (count === 1) {
+        await this.client.pexpire(key, windowMs);
+      }
+      return count;
+    } catch (error) {
+      logRedisError("recordRateLimitViolation", error);
+      return 0;
+    }
+  }
+
+  async muteUser(userId, durationMs) {
+    try {
+      await this.client
+        .multi()
+        .set(`mute:${userId}`, Date.now() + durationMs, "PX", durationMs)
+        .del(`ratelimit:violations:${userId}`)
+        .exec();
+      return true;
+    } catch (error) {
+      logRedisError("muteUser", error);
+      return false;
+    }
+  }
+
+  // Milliseconds left on a user's mute, or 0 if they aren't muted
+  async getMuteRemaining(userId) {
+    try {
+      const ttl = await this.client.pttl(`mute:${userId}`);
+      return Math.max(ttl, 0);
+    } catch (error) {
+      logRedisError("getMuteRemaining", error);
+      return 0;
+    }
+  }
+
+  // Compliance log of flagged PHI events, newest first and capped in size
+  async logComplianceEvent(event) {
+    try {
+      await this.client
+        .multi()
+        .lpush("compliance:phi", JSON.stringify(event))
+        .ltrim("compliance:phi", 0, config.COMPLIANCE_LOG_MAX - 1)
+        .exec();
+      return true;
+    } catch (error) {
+      logRedisError("logComplianceEvent", error);
+      return false;
+    }
+  }
+
+  async getComplianceEvents(limit) {
+    try {
+      const events = await this.client.lrange("compliance:phi", 0, limit - 1);
+      return events.map((event) => JSON.parse(event));
+    } catch (error) {
+      logRedisError("getComplianceEvents", error);
+      return [];
+    }
+  }
+
+  // Daily message counters, one hash per day, kept for 30 days
+  async recordMessageStats(message) {
+    try {
+      const key = `analytics:messages:${message.timestamp.slice(0, 10)}`;
+      await this.client
+        .multi()
+        .hincrby(key, "total", 1)
+        .hincrby(key, `room:${message.roomId}`, 1)
+        .hincrby(key, `priority:${message.priority || "routine"}`, 1)
+        .hincrby(key, `type:${message.type || "text"}`, 1)
+        .expire(key, 30 * 86400)
+        .exec();
+      return true;
+    } catch (error) {
+      logRedisError("recordMessageStats", error);
+      return false;
+    }
+  }
+
+  // Counters for one day (YYYY-MM-DD)
+  async getMessageStats(date) {
+    try {
+      const counts = await this.client.hgetall(`analytics:messages:${date}`);
+      return Object.fromEntries(
+        Object.entries(counts).map(([field, count]) => [
+          field,
+          parseInt(count, 10),
+        ])
+      );
+    } catch (error) {
+      logRedisError("getMessageStats", error);
+      return {};
+    }
+  }
+
   // Health check
   async healthCheck() {
     try {
@@ -231,9 +938,9 @@ class RedisManager {
         this.subscriber.disconnect(),
         this.client.disconnect(),
       ]);
-      console.log("🔌 All Redis connections closed");
+      logger.info("All Redis connections closed");
     } catch (error) {
-      console.error("Error disconnecting from Redis:", error);
+      logRedisError("disconnect", error);
     }
   }
 }
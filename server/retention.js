@@ -0,0 +1,90 @@
+const config = require("./config");
+const logger = require("./logger");
+const database = require("./database");
+const attachments = require("./attachments");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purges messages older than each room's `retentionDays` from the message
+// store, with their attachments, and sweeps attachments that are deleted or
+// were never sent. Every server schedules the job, but a Redis lock held for
+// the interval means only one of them runs it each time.
+class RetentionJob {
+  constructor({ roomRegistry, redisManager, audit, serverId }) {
+    this.roomRegistry = roomRegistry;
+    this.redisManager = redisManager;
+    this.audit = audit;
+    this.serverId = serverId;
+    this.timer = null;
+  }
+
+  start() {
+    const run = () => {
+      this.run().catch((error) => {
+        logger.error("Error running retention job", { error });
+      });
+    };
+
+    run();
+    this.timer = setInterval(run, config.RETENTION_INTERVAL_MS);
+  }
+
+  // Returns { roomId: purgedCount }, or null if another server has the turn
+  async run() {
+    const acquired = await this.redisManager.acquireLock(
+      "retention",
+      this.serverId,
+      config.RETENTION_INTERVAL_MS
+    );
+    if (!acquired) {
+      return null;
+    }
+
+    const purged = {};
+    const policies = this.roomRegistry.listRetentionPolicies();
+    for (const { roomId, retentionDays } of policies) {
+      const cutoff = Date.now() - retentionDays * DAY_MS;
+      const before = new Date(cutoff).toISOString();
+
+      // Files go first: if the purge then fails, the next run retries it,
+      // whereas files of already-purged messages would never be found
+      const attachmentIds = await database.listAttachmentIds(roomId, before);
+      for (const attachmentId of attachmentIds) {
+        await attachments.deleteAttachment(attachmentId);
+      }
+      purged[roomId] = await database.purgeMessages(roomId, before);
+
+      if (purged[roomId] > 0) {
+        logger.info("Messages purged", {
+          roomId,
+          count: purged[roomId],
+          attachments: attachmentIds.length,
+          retentionDays,
+        });
+        this.audit.record("messages_purged", null, {
+          roomId,
+          details: {
+            count: purged[roomId],
+            attachments: attachmentIds.length,
+            before,
+            retentionDays,
+          },
+        });
+      }
+    }
+
+    const swept = await attachments.sweepAttachments();
+    if (swept.deleted > 0 || swept.orphaned > 0) {
+      logger.info("Attachments swept", swept);
+      this.audit.record("attachments_swept", null, { details: swept });
+    }
+
+    return purged;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = RetentionJob;
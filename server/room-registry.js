@@ -0,0 +1,113 @@
+const fs = require("fs");
+const config = require("./config");
+const logger = require("./logger");
+
+function hasAnyRole(user, roles) {
+  return (
+    !roles || roles.length === 0 || roles.some((r) => user.roles.includes(r))
+  );
+}
+
+// Returns null if the user may join/read the room, otherwise the reason
+function joinError(user, room) {
+  // Conversations are restricted to their participants
+  if (room.members && !room.members.includes(user.userId)) {
+    return "You are not a participant in this conversation";
+  }
+
+  // Private rooms are restricted to staff of the owning department
+  if (room.private && room.department && user.department !== room.department) {
+    return `${room.name} is restricted to ${room.department} staff`;
+  }
+
+  if (!hasAnyRole(user, room.allowedRoles)) {
+    return `${room.name} is restricted to ${room.allowedRoles.join(", ")}`;
+  }
+
+  return null;
+}
+
+function postError(user, room) {
+  if (!hasAnyRole(user, room.postRoles)) {
+    return `Only ${room.postRoles.join(", ")} can post in ${room.name}`;
+  }
+
+  return null;
+}
+
+class RoomRegistry {
+  // `loadDynamicRoom(roomId)` resolves rooms that aren't in the rooms file
+  // (e.g. conversations); it returns a room object or null
+  constructor(filePath = config.ROOMS_FILE, loadDynamicRoom = null) {
+    const rooms = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+    this.loadDynamicRoom = loadDynamicRoom;
+    this.rooms = new Map(
+      rooms.map((room) => [
+        room.id,
+        {
+          allowedRoles: [],
+          postRoles: [],
+          private: false,
+          department: null,
+          phiPolicy: {},
+          retentionDays: null,
+          ...room,
+        },
+      ])
+    );
+
+    logger.info("Loaded rooms", { count: this.rooms.size, filePath });
+  }
+
+  async getRoom(roomId) {
+    if (this.rooms.has(roomId)) {
+      return this.rooms.get(roomId);
+    }
+    return this.loadDynamicRoom ? await this.loadDynamicRoom(roomId) : null;
+  }
+
+  // Returns null if the user may join/read the room, otherwise the reason
+  async checkJoin(user, roomId) {
+    const room = await this.getRoom(roomId);
+
+    if (!room) {
+      return `Unknown room: ${roomId}`;
+    }
+
+    return joinError(user, room);
+  }
+
+  // Returns null if the user may post in the room, otherwise the reason
+  async checkPost(user, roomId) {
+    const room = await this.getRoom(roomId);
+
+    if (!room) {
+      return `Unknown room: ${roomId}`;
+    }
+
+    return joinError(user, room) || postError(user, room);
+  }
+
+  // Rooms whose messages expire, as { roomId, retentionDays }
+  listRetentionPolicies() {
+    return Array.from(this.rooms.values())
+      .filter((room) => room.retentionDays > 0)
+      .map((room) => ({ roomId: room.id, retentionDays: room.retentionDays }));
+  }
+
+  // Registry rooms the user may join, with whether they may also post
+  listForUser(user) {
+    return Array.from(this.rooms.values())
+      .filter((room) => !joinError(user, room))
+      .map((room) => ({
+        id: room.id,
+        name: room.name,
+        department: room.department,
+        private: room.private,
+        canPost: !postError(user, room),
+      }));
+  }
+}
+
+module.exports = RoomRegistry;
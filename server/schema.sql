@@ -0,0 +1,54 @@
+-- MySQL schema for the message store (MESSAGE_STORE=mysql)
+
+CREATE TABLE IF NOT EXISTS messages (
+  id CHAR(36) PRIMARY KEY,
+  room_id VARCHAR(100) NOT NULL,
+  user_id VARCHAR(100) NOT NULL,
+  user_name VARCHAR(100) NOT NULL,
+  content TEXT NOT NULL,
+  message_type VARCHAR(20) NOT NULL DEFAULT 'text',
+  priority VARCHAR(10) NOT NULL DEFAULT 'routine',
+  metadata JSON NULL,
+  seq BIGINT NULL,
+  patient_mrn VARCHAR(32) NULL,
+  thread_id CHAR(23) NULL,
+  created_at DATETIME(3) NOT NULL,
+  INDEX idx_messages_room_created (room_id, created_at, id),
+  INDEX idx_messages_room_seq (room_id, seq),
+  INDEX idx_messages_patient (patient_mrn, created_at, id),
+  INDEX idx_messages_room_thread (room_id, thread_id),
+  FULLTEXT INDEX idx_messages_content (content)
+);
+
+-- Earlier versions of edited and deleted messages
+CREATE TABLE IF NOT EXISTS message_revisions (
+  message_id CHAR(36) NOT NULL,
+  revision INT NOT NULL,
+  content TEXT NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  replaced_at DATETIME(3) NOT NULL,
+  replaced_by VARCHAR(100) NOT NULL,
+  replaced_by_name VARCHAR(100) NOT NULL,
+  PRIMARY KEY (message_id, revision)
+);
+
+-- Append-only, hash-chained audit log. Grant the application INSERT and
+-- SELECT only on this table so entries can't be changed or removed.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id CHAR(36) PRIMARY KEY,
+  chain_id VARCHAR(100) NOT NULL,
+  seq BIGINT NOT NULL,
+  created_at DATETIME(3) NOT NULL,
+  action VARCHAR(40) NOT NULL,
+  user_id VARCHAR(100) NULL,
+  user_name VARCHAR(100) NULL,
+  room_id VARCHAR(100) NULL,
+  message_id CHAR(36) NULL,
+  details TEXT NOT NULL,
+  prev_hash CHAR(64) NOT NULL,
+  hash CHAR(64) NOT NULL,
+  UNIQUE KEY uq_audit_chain_seq (chain_id, seq),
+  INDEX idx_audit_created (created_at, id),
+  INDEX idx_audit_user (user_id, created_at),
+  INDEX idx_audit_room (room_id, created_at)
+);
@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const config = require("./config");
+const logger = require("./logger");
+
+// Lets a client that loses its connection (Wi-Fi handoff, laptop sleep) be
+// re-attached to its rooms without anyone seeing it leave and rejoin.
+// Each connection gets a resume token. When the socket drops, its rooms are
+// parked in Redis for RESUME_GRACE_MS; a new connection presenting the token
+// within that window takes them over, on any server. Otherwise the grace
+// timer (in the process that saw the disconnect) calls onExpire.
+class SessionManager {
+  constructor({ redisManager, onExpire }) {
+    this.redisManager = redisManager;
+    this.onExpire = onExpire;
+    this.timers = new Map(); // resumeToken -> { timer, session }
+  }
+
+  createToken() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
+
+  // Park a dropped connection's rooms and start its grace period
+  async detach(resumeToken, connectionInfo) {
+    const session = {
+      userId: connectionInfo.userId,
+      userName: connectionInfo.userName,
+      socketId: connectionInfo.socketId,
+      rooms: Array.from(connectionInfo.rooms),
+    };
+    await this.redisManager.storeDetachedSession(resumeToken, session);
+
+    const timer = setTimeout(() => {
+      this.expire(resumeToken, session).catch((error) => {
+        logger.error("Error expiring session", { error });
+      });
+    }, config.RESUME_GRACE_MS);
+
+    this.timers.set(resumeToken, { timer, session });
+  }
+
+  async expire(resumeToken, session) {
+    this.timers.delete(resumeToken);
+
+    // Whoever deletes the parked session first wins: if it's gone, the
+    // client resumed in time
+    if (await this.redisManager.expireDetachedSession(resumeToken)) {
+      await this.onExpire(session);
+    }
+  }
+
+  // Take over a parked session. Returns it, or null if the token is unknown,
+  // expired or belongs to someone else.
+  async resume(resumeToken, userId) {
+    const session = await this.redisManager.claimDetachedSession(resumeToken);
+    if (!session) {
+      return null;
+    }
+
+    clearTimeout(this.timers.get(resumeToken)?.timer);
+    this.timers.delete(resumeToken);
+
+    if (session.userId !== userId) {
+      // Not theirs to resume: let the owner's rooms lapse normally
+      await this.onExpire(session);
+      return null;
+    }
+    return session;
+  }
+
+  // Expire the sessions still in their grace period. Their timers die with
+  // this process and no other server knows about them, so otherwise their
+  // rooms would never be left.
+  async stop() {
+    const pending = Array.from(this.timers.entries());
+    for (const [resumeToken, { timer, session }] of pending) {
+      clearTimeout(timer);
+      try {
+        await this.expire(resumeToken, session);
+      } catch (error) {
+        logger.error("Error expiring session", { error });
+      }
+    }
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const config = require("./config");
+const logger = require("./logger");
+
+const SCRYPT_KEYLEN = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>" for storage in the staff file
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Public view of a staff member (never includes the password hash)
+function toStaffProfile(staff) {
+  return {
+    userId: staff.userId,
+    userName: staff.userName,
+    roles: staff.roles || [],
+    department: staff.department || null,
+  };
+}
+
+class StaffDirectory {
+  constructor(filePath = config.STAFF_FILE) {
+    const records = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+    this.byUsername = new Map();
+    this.byUserId = new Map();
+
+    for (const record of records) {
+      this.byUsername.set(record.username.toLowerCase(), record);
+      this.byUserId.set(record.userId, record);
+    }
+
+    logger.info("Loaded staff accounts", { count: records.length, filePath });
+  }
+
+  // Returns the staff profile if the credentials are valid, otherwise null
+  authenticate(username, password) {
+    const record = this.byUsername.get(String(username).toLowerCase());
+
+    if (!record || !verifyPassword(String(password), record.passwordHash)) {
+      return null;
+    }
+
+    return toStaffProfile(record);
+  }
+
+  list() {
+    return Array.from(this.byUserId.values()).map(toStaffProfile);
+  }
+
+  getById(userId) {
+    const record = this.byUserId.get(userId);
+    return record ? toStaffProfile(record) : null;
+  }
+
+  getByUsername(username) {
+    const record = this.byUsername.get(String(username).toLowerCase());
+    return record ? toStaffProfile(record) : null;
+  }
+
+  // Everyone with `role` (case-insensitive)
+  listByRole(role) {
+    const wanted = String(role).toLowerCase();
+    return this.list().filter((staff) =>
+      staff.roles.some((r) => r.toLowerCase() === wanted)
+    );
+  }
+}
+
+module.exports = {
+  StaffDirectory,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,70 @@
+const config = require("./config");
+const logger = require("./logger");
+
+// Watches STAT messages sent from this server and escalates any that nobody
+// acknowledges within STAT_ACK_TIMEOUT_MS: the message is re-broadcast to its
+// room (up to STAT_MAX_REMINDERS times) and, on the first miss, posted to the
+// on-call room. Acknowledgements are read from Redis, so an ack on any server
+// counts. Timers live in this process only.
+class StatEscalationManager {
+  constructor({ redisManager, onReminder, onEscalate }) {
+    this.redisManager = redisManager;
+    this.onReminder = onReminder;
+    this.onEscalate = onEscalate;
+    this.timers = new Map(); // messageId -> pending timeout
+  }
+
+  track(message) {
+    this.schedule(message, 1);
+  }
+
+  schedule(message, attempt) {
+    const timer = setTimeout(() => {
+      this.check(message, attempt).catch((error) => {
+        logger.error("Error escalating STAT message", { error });
+      });
+    }, config.STAT_ACK_TIMEOUT_MS);
+
+    this.timers.set(message.id, timer);
+  }
+
+  async check(message, attempt) {
+    this.timers.delete(message.id);
+
+    const acks = await this.redisManager.getAcknowledgements(message.id);
+    if (acks.length > 0) {
+      return;
+    }
+
+    logger.warn("STAT message unacknowledged", {
+      messageId: message.id,
+      roomId: message.roomId,
+      attempt,
+    });
+
+    await this.onReminder(message, attempt);
+
+    if (attempt === 1) {
+      await this.onEscalate(message);
+    }
+
+    if (attempt < config.STAT_MAX_REMINDERS) {
+      this.schedule(message, attempt + 1);
+    }
+  }
+
+  // Stop watching a message once it has been acknowledged
+  cancel(messageId) {
+    clearTimeout(this.timers.get(messageId));
+    this.timers.delete(messageId);
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = StatEscalationManager;
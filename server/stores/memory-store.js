@@ -0,0 +1,273 @@
+// In-memory message store, used by default for local development.
+// Messages are lost when the process exits and are not shared between servers.
+
+// Orders messages by (timestamp, id), the same key used for history cursors
+function compareMessages(a, b) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp < b.timestamp ? -1 : 1;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+class MemoryStore {
+  constructor() {
+    this.rooms = new Map(); // roomId -> messages sorted by (timestamp, id)
+    this.revisions = new Map(); // messageId -> replaced versions, oldest first
+    this.auditLog = []; // Audit entries in the order they were appended
+  }
+
+  async init() {}
+
+  async ping() {}
+
+  async storeMessage(message) {
+    if (!this.rooms.has(message.roomId)) {
+      this.rooms.set(message.roomId, []);
+    }
+
+    // Messages almost always arrive in order, so scan back from the end
+    const messages = this.rooms.get(message.roomId);
+    let index = messages.length;
+    while (index > 0 && compareMessages(messages[index - 1], message) > 0) {
+      index--;
+    }
+    messages.splice(index, 0, { ...message });
+  }
+
+  async getRecentMessages(roomId, { limit, before }) {
+    const messages = this.rooms.get(roomId) || [];
+
+    let end = messages.length;
+    if (before) {
+      while (end > 0 && compareMessages(messages[end - 1], before) >= 0) {
+        end--;
+      }
+    }
+
+    return messages
+      .slice(Math.max(0, end - limit), end)
+      .map((message) => ({ ...message }));
+  }
+
+  async getMessagesAfter(roomId, { limit, after }) {
+    const messages = this.rooms.get(roomId) || [];
+
+    let start = messages.length;
+    while (start > 0 && compareMessages(messages[start - 1], after) > 0) {
+      start--;
+    }
+
+    return messages
+      .slice(start, start + limit)
+      .map((message) => ({ ...message }));
+  }
+
+  // Messages with a sequence number above `afterSeq`, in sequence order
+  async getMessagesSince(roomId, { afterSeq, limit }) {
+    return (this.rooms.get(roomId) || [])
+      .filter((message) => message.seq > afterSeq)
+      .sort((a, b) => a.seq - b.seq)
+      .slice(0, limit)
+      .map((message) => ({ ...message }));
+  }
+
+  // Newest page of a patient's messages across `roomIds`, oldest first
+  async getPatientMessages({ mrn, roomIds, limit, before }) {
+    const matches = roomIds
+      .flatMap((roomId) => this.rooms.get(roomId) || [])
+      .filter(
+        (message) =>
+          message.patientMrn === mrn &&
+          (!before || compareMessages(message, before) < 0)
+      )
+      .sort(compareMessages);
+
+    return matches
+      .slice(Math.max(0, matches.length - limit))
+      .map((message) => ({ ...message }));
+  }
+
+  // One entry per patient thread in a room, most recently active first
+  async listPatientThreads(roomId) {
+    const threads = new Map();
+    for (const message of this.rooms.get(roomId) || []) {
+      if (!message.threadId) {
+        continue;
+      }
+      const thread = threads.get(message.threadId) || {
+        threadId: message.threadId,
+        patientMrn: message.patientMrn,
+        messageCount: 0,
+      };
+      thread.messageCount++;
+      thread.lastMessageAt = message.timestamp; // Messages are in order
+      threads.set(message.threadId, thread);
+    }
+
+    return Array.from(threads.values()).sort((a, b) =>
+      a.lastMessageAt < b.lastMessageAt ? 1 : -1
+    );
+  }
+
+  // Shallow-merge `patch` into the stored message; returns the message
+  async updateMessageMetadata(messageId, patch) {
+    for (const messages of this.rooms.values()) {
+      const message = messages.find((m) => m.id === messageId);
+      if (message) {
+        Object.assign(message, patch);
+        return { ...message };
+      }
+    }
+    return null;
+  }
+
+  // Replace a message's content, keeping the old content as a revision, and
+  // merge `patch` into it. Returns the updated message.
+  async reviseMessage(
+    messageId,
+    { content, patch, action, replacedAt, replacedBy }
+  ) {
+    for (const messages of this.rooms.values()) {
+      const message = messages.find((m) => m.id === messageId);
+      if (message) {
+        const revisions = this.revisions.get(messageId) || [];
+        revisions.push({
+          revision: revisions.length + 1,
+          content: message.content,
+          action,
+          replacedAt,
+          replacedBy: {
+            userId: replacedBy.userId,
+            userName: replacedBy.userName,
+          },
+        });
+        this.revisions.set(messageId, revisions);
+
+        Object.assign(message, patch, { content });
+        return { ...message };
+      }
+    }
+    return null;
+  }
+
+  async getMessageRevisions(messageId) {
+    return (this.revisions.get(messageId) || []).map((revision) => ({
+      ...revision,
+    }));
+  }
+
+  // IDs of the attachments sent with messages purgeMessages would delete
+  async listAttachmentIds(roomId, before) {
+    return (this.rooms.get(roomId) || [])
+      .filter((message) => message.timestamp < before && message.attachment)
+      .map((message) => message.attachment.id);
+  }
+
+  // Delete a room's messages (and their revisions) created before `before`.
+  // Returns how many messages were removed.
+  async purgeMessages(roomId, before) {
+    const messages = this.rooms.get(roomId) || [];
+    const kept = messages.filter((message) => message.timestamp >= before);
+
+    for (const message of messages) {
+      if (message.timestamp < before) {
+        this.revisions.delete(message.id);
+      }
+    }
+    this.rooms.set(roomId, kept);
+    return messages.length - kept.length;
+  }
+
+  async getMessage(messageId) {
+    for (const messages of this.rooms.values()) {
+      const message = messages.find((m) => m.id === messageId);
+      if (message) {
+        return { ...message };
+      }
+    }
+    return null;
+  }
+
+  async searchMessages({ roomIds, terms, from, to, author, limit }) {
+    const lowerTerms = terms.map((term) => term.toLowerCase());
+    const lowerAuthor = author?.toLowerCase();
+    if (lowerTerms.length === 0) {
+      return [];
+    }
+
+    const matches = roomIds
+      .flatMap((roomId) => this.rooms.get(roomId) || [])
+      .filter((message) => {
+        const content = message.content.toLowerCase();
+        const timestamp = new Date(message.timestamp);
+        return (
+          lowerTerms.every((term) => content.includes(term)) &&
+          (!lowerAuthor ||
+            message.userName.toLowerCase().includes(lowerAuthor)) &&
+          (!from || timestamp >= from) &&
+          (!to || timestamp < to)
+        );
+      });
+
+    return matches
+      .sort((a, b) => compareMessages(b, a))
+      .slice(0, limit)
+      .map((message) => ({ ...message }));
+  }
+
+  async appendAuditEntry(entry) {
+    if (
+      this.auditLog.some(
+        (existing) =>
+          existing.chainId === entry.chainId && existing.seq === entry.seq
+      )
+    ) {
+      throw new Error(`Duplicate audit entry ${entry.chainId}#${entry.seq}`);
+    }
+    this.auditLog.push({ ...entry });
+  }
+
+  async getLastAuditEntry(chainId) {
+    const entries = this.auditLog.filter((entry) => entry.chainId === chainId);
+    return entries.length > 0 ? { ...entries[entries.length - 1] } : null;
+  }
+
+  // Entries of one chain with a sequence number above `afterSeq`, in order
+  async getAuditChain(chainId, { afterSeq, limit }) {
+    return this.auditLog
+      .filter((entry) => entry.chainId === chainId && entry.seq > afterSeq)
+      .slice(0, limit)
+      .map((entry) => ({ ...entry }));
+  }
+
+  async listAuditChains() {
+    return Array.from(
+      new Set(this.auditLog.map((entry) => entry.chainId))
+    ).sort();
+  }
+
+  // Filtered audit entries, newest first
+  async queryAuditEntries({ userId, roomId, action, from, to, before }, limit) {
+    return this.auditLog
+      .filter(
+        (entry) =>
+          (!userId || entry.userId === userId) &&
+          (!roomId || entry.roomId === roomId) &&
+          (!action || entry.action === action) &&
+          (!from || entry.timestamp >= from) &&
+          (!to || entry.timestamp < to) &&
+          (!before || compareMessages(entry, before) < 0)
+      )
+      .sort((a, b) => compareMessages(b, a))
+      .slice(0, limit)
+      .map((entry) => ({ ...entry }));
+  }
+
+  async close() {
+    this.rooms.clear();
+    this.revisions.clear();
+    this.auditLog = [];
+  }
+}
+
+module.exports = MemoryStore;
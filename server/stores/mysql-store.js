@@ -0,0 +1,347 @@
+const {
+  rowToMessage,
+  rowToRevision,
+  rowToAuditEntry,
+  auditConditions,
+  metadataToJson,
+  escapeLike,
+} = require("./rows");
+
+// MySQL-backed message store (see server/schema.sql for the table layout)
+class MySqlStore {
+  constructor(options) {
+    this.options = options;
+    this.pool = null;
+  }
+
+  async init() {
+    // Required lazily so local development doesn't need the driver installed
+    const mysql = require("mysql2/promise");
+
+    this.pool = mysql.createPool({
+      ...this.options,
+      waitForConnections: true,
+      connectionLimit: 10,
+      queueLimit: 0,
+    });
+  }
+
+  async storeMessage(message) {
+    await this.pool.execute(
+      "INSERT INTO messages (id, room_id, user_id, user_name, content, message_type, priority, metadata, seq, patient_mrn, thread_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        message.id,
+        message.roomId,
+        message.userId,
+        message.userName,
+        message.content,
+        message.type,
+        message.priority,
+        metadataToJson(message),
+        message.seq ?? null,
+        message.patientMrn ?? null,
+        message.threadId ?? null,
+        new Date(message.timestamp),
+      ]
+    );
+  }
+
+  // Shallow-merge `patch` into the message's metadata; returns the message
+  async updateMessageMetadata(messageId, patch) {
+    await this.pool.execute(
+      "UPDATE messages SET metadata = JSON_MERGE_PATCH(COALESCE(metadata, '{}'), ?) WHERE id = ?",
+      [JSON.stringify(patch), messageId]
+    );
+    return this.getMessage(messageId);
+  }
+
+  // Replace a message's content, keeping the old content as a revision, and
+  // merge `patch` into its metadata. Returns the updated message.
+  async reviseMessage(
+    messageId,
+    { content, patch, action, replacedAt, replacedBy }
+  ) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        "SELECT content FROM messages WHERE id = ? FOR UPDATE",
+        [messageId]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return null;
+      }
+
+      const [[{ count }]] = await connection.execute(
+        "SELECT COUNT(*) AS count FROM message_revisions WHERE message_id = ?",
+        [messageId]
+      );
+      await connection.execute(
+        "INSERT INTO message_revisions (message_id, revision, content, action, replaced_at, replaced_by, replaced_by_name) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [
+          messageId,
+          Number(count) + 1,
+          rows[0].content,
+          action,
+          new Date(replacedAt),
+          replacedBy.userId,
+          replacedBy.userName,
+        ]
+      );
+      await connection.execute(
+        "UPDATE messages SET content = ?, metadata = JSON_MERGE_PATCH(COALESCE(metadata, '{}'), ?) WHERE id = ?",
+        [content, JSON.stringify(patch), messageId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return this.getMessage(messageId);
+  }
+
+  async getMessageRevisions(messageId) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM message_revisions WHERE message_id = ? ORDER BY revision ASC",
+      [messageId]
+    );
+    return rows.map(rowToRevision);
+  }
+
+  // IDs of the attachments sent with messages purgeMessages would delete
+  async listAttachmentIds(roomId, before) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM messages WHERE room_id = ? AND created_at < ? AND message_type = 'attachment'",
+      [roomId, new Date(before)]
+    );
+    return rows
+      .map(rowToMessage)
+      .filter((message) => message.attachment)
+      .map((message) => message.attachment.id);
+  }
+
+  // Delete a room's messages (and their revisions) created before `before`.
+  // Returns how many messages were removed.
+  async purgeMessages(roomId, before) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        "DELETE r FROM message_revisions r JOIN messages m ON m.id = r.message_id WHERE m.room_id = ? AND m.created_at < ?",
+        [roomId, new Date(before)]
+      );
+      const [result] = await connection.execute(
+        "DELETE FROM messages WHERE room_id = ? AND created_at < ?",
+        [roomId, new Date(before)]
+      );
+      await connection.commit();
+      return result.affectedRows;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getRecentMessages(roomId, { limit, before }) {
+    const [rows] = before
+      ? await this.pool.execute(
+          "SELECT * FROM messages WHERE room_id = ? AND (created_at < ? OR (created_at = ? AND id < ?)) ORDER BY created_at DESC, id DESC LIMIT ?",
+          [
+            roomId,
+            new Date(before.timestamp),
+            new Date(before.timestamp),
+            before.id,
+            String(limit),
+          ]
+        )
+      : await this.pool.execute(
+          "SELECT * FROM messages WHERE room_id = ? ORDER BY created_at DESC, id DESC LIMIT ?",
+          [roomId, String(limit)]
+        );
+    return rows.reverse().map(rowToMessage); // Return in chronological order
+  }
+
+  async getMessagesAfter(roomId, { limit, after }) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM messages WHERE room_id = ? AND (created_at > ? OR (created_at = ? AND id > ?)) ORDER BY created_at ASC, id ASC LIMIT ?",
+      [
+        roomId,
+        new Date(after.timestamp),
+        new Date(after.timestamp),
+        after.id,
+        String(limit),
+      ]
+    );
+    return rows.map(rowToMessage);
+  }
+
+  // Messages with a sequence number above `afterSeq`, in sequence order
+  async getMessagesSince(roomId, { afterSeq, limit }) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM messages WHERE room_id = ? AND seq > ? ORDER BY seq ASC LIMIT ?",
+      [roomId, afterSeq, String(limit)]
+    );
+    return rows.map(rowToMessage);
+  }
+
+  // Newest page of a patient's messages across `roomIds`, oldest first
+  async getPatientMessages({ mrn, roomIds, limit, before }) {
+    if (roomIds.length === 0) {
+      return [];
+    }
+
+    const conditions = [
+      "patient_mrn = ?",
+      `room_id IN (${roomIds.map(() => "?").join(", ")})`,
+    ];
+    const params = [mrn, ...roomIds];
+    if (before) {
+      conditions.push("(created_at < ? OR (created_at = ? AND id < ?))");
+      params.push(
+        new Date(before.timestamp),
+        new Date(before.timestamp),
+        before.id
+      );
+    }
+
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM messages WHERE ${conditions.join(
+        " AND "
+      )} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, String(limit)]
+    );
+    return rows.reverse().map(rowToMessage);
+  }
+
+  // One entry per patient thread in a room, most recently active first
+  async listPatientThreads(roomId) {
+    const [rows] = await this.pool.execute(
+      "SELECT thread_id AS threadId, patient_mrn AS patientMrn, COUNT(*) AS messageCount, MAX(created_at) AS lastMessageAt FROM messages WHERE room_id = ? AND thread_id IS NOT NULL GROUP BY thread_id, patient_mrn ORDER BY lastMessageAt DESC",
+      [roomId]
+    );
+    return rows.map((row) => ({
+      ...row,
+      messageCount: Number(row.messageCount),
+      lastMessageAt: new Date(row.lastMessageAt).toISOString(),
+    }));
+  }
+
+  async getMessage(messageId) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM messages WHERE id = ?",
+      [messageId]
+    );
+    return rows.length > 0 ? rowToMessage(rows[0]) : null;
+  }
+
+  async searchMessages({ roomIds, query, from, to, author, limit }) {
+    if (roomIds.length === 0) {
+      return [];
+    }
+
+    const conditions = [
+      `room_id IN (${roomIds.map(() => "?").join(", ")})`,
+      "MATCH(content) AGAINST(? IN NATURAL LANGUAGE MODE)",
+    ];
+    const params = [...roomIds, query];
+
+    if (author) {
+      conditions.push("user_name LIKE ?");
+      params.push(`%${escapeLike(author)}%`);
+    }
+    if (from) {
+      conditions.push("created_at >= ?");
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("created_at < ?");
+      params.push(to);
+    }
+
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM messages WHERE ${conditions.join(
+        " AND "
+      )} ORDER BY created_at DESC LIMIT ?`,
+      [...params, String(limit)]
+    );
+    return rows.map(rowToMessage);
+  }
+
+  async appendAuditEntry(entry) {
+    await this.pool.execute(
+      "INSERT INTO audit_log (id, chain_id, seq, created_at, action, user_id, user_name, room_id, message_id, details, prev_hash, hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        entry.id,
+        entry.chainId,
+        entry.seq,
+        new Date(entry.timestamp),
+        entry.action,
+        entry.userId,
+        entry.userName,
+        entry.roomId,
+        entry.messageId,
+        entry.details,
+        entry.prevHash,
+        entry.hash,
+      ]
+    );
+  }
+
+  async getLastAuditEntry(chainId) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM audit_log WHERE chain_id = ? ORDER BY seq DESC LIMIT 1",
+      [chainId]
+    );
+    return rows.length > 0 ? rowToAuditEntry(rows[0]) : null;
+  }
+
+  // Entries of one chain with a sequence number above `afterSeq`, in order
+  async getAuditChain(chainId, { afterSeq, limit }) {
+    const [rows] = await this.pool.execute(
+      "SELECT * FROM audit_log WHERE chain_id = ? AND seq > ? ORDER BY seq ASC LIMIT ?",
+      [chainId, afterSeq, String(limit)]
+    );
+    return rows.map(rowToAuditEntry);
+  }
+
+  async listAuditChains() {
+    const [rows] = await this.pool.execute(
+      "SELECT DISTINCT chain_id FROM audit_log ORDER BY chain_id"
+    );
+    return rows.map((row) => row.chain_id);
+  }
+
+  // Filtered audit entries, newest first
+  async queryAuditEntries(filters, limit) {
+    const { where, params } = auditConditions(
+      filters,
+      (time) => new Date(time)
+    );
+    const [rows] = await this.pool.execute(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, String(limit)]
+    );
+    return rows.map(rowToAuditEntry);
+  }
+
+  // Throws if no connection can be made or the server doesn't answer
+  async ping() {
+    await this.pool.query("SELECT 1");
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+    }
+  }
+}
+
+module.exports = MySqlStore;
@@ -0,0 +1,136 @@
+// Shared helpers for the SQL-backed message stores
+
+// Message fields with their own column; everything else that should be
+// persisted (acknowledgements, ...) lives in the JSON `metadata` column
+const METADATA_FIELDS = [
+  "acknowledgements",
+  "reactions",
+  "mentions",
+  "escalatedFrom",
+  "editedAt",
+  "deletedAt",
+  "deletedBy",
+  "attachment",
+  "alert",
+];
+
+// Convert a `messages` table row into the message shape used on the wire
+function rowToMessage(row) {
+  const metadata =
+    typeof row.metadata === "string"
+      ? JSON.parse(row.metadata)
+      : row.metadata || {};
+
+  return {
+    id: row.id,
+    roomId: row.room_id,
+    userId: row.user_id,
+    userName: row.user_name,
+    content: row.content,
+    type: row.message_type,
+    priority: row.priority || "routine",
+    timestamp: new Date(row.created_at).toISOString(),
+    // Messages stored before sequence numbers were introduced have none
+    ...(row.seq != null && { seq: Number(row.seq) }),
+    ...(row.patient_mrn && {
+      patientMrn: row.patient_mrn,
+      threadId: row.thread_id,
+    }),
+    ...metadata,
+  };
+}
+
+// Convert a `message_revisions` row (a replaced version of a message)
+function rowToRevision(row) {
+  return {
+    revision: Number(row.revision),
+    content: row.content,
+    action: row.action,
+    replacedAt: new Date(row.replaced_at).toISOString(),
+    replacedBy: { userId: row.replaced_by, userName: row.replaced_by_name },
+  };
+}
+
+// Convert an `audit_log` row into an audit entry. `details` stays the exact
+// JSON string that was hashed, so verification sees what was written.
+function rowToAuditEntry(row) {
+  return {
+    id: row.id,
+    chainId: row.chain_id,
+    seq: Number(row.seq),
+    timestamp: new Date(row.created_at).toISOString(),
+    action: row.action,
+    userId: row.user_id,
+    userName: row.user_name,
+    roomId: row.room_id,
+    messageId: row.message_id,
+    details: row.details,
+    prevHash: row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+// WHERE conditions and parameters for an audit query's filters. Times are
+// ISO strings; `toTime` converts them for drivers that want Date objects.
+function auditConditions(
+  { userId, roomId, action, from, to, before },
+  toTime = (time) => time
+) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    conditions.push("user_id = ?");
+    params.push(userId);
+  }
+  if (roomId) {
+    conditions.push("room_id = ?");
+    params.push(roomId);
+  }
+  if (action) {
+    conditions.push("action = ?");
+    params.push(action);
+  }
+  if (from) {
+    conditions.push("created_at >= ?");
+    params.push(toTime(from));
+  }
+  if (to) {
+    conditions.push("created_at < ?");
+    params.push(toTime(to));
+  }
+  if (before) {
+    conditions.push("(created_at < ? OR (created_at = ? AND id < ?))");
+    params.push(toTime(before.timestamp), toTime(before.timestamp), before.id);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+// Serialize the metadata fields of a message for the `metadata` column
+function metadataToJson(message) {
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    if (message[field] !== undefined) {
+      metadata[field] = message[field];
+    }
+  }
+  return Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null;
+}
+
+// Escape LIKE wildcards so user input is matched literally (ESCAPE '\\')
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+module.exports = {
+  rowToMessage,
+  rowToRevision,
+  rowToAuditEntry,
+  auditConditions,
+  metadataToJson,
+  escapeLike,
+};
@@ -0,0 +1,415 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  rowToMessage,
+  rowToRevision,
+  rowToAuditEntry,
+  auditConditions,
+  metadataToJson,
+  escapeLike,
+} = require("./rows");
+
+// Columns added after the original table layout; created on startup if missing
+const ADDED_COLUMNS = {
+  priority: "TEXT NOT NULL DEFAULT 'routine'",
+  metadata: "TEXT",
+  seq: "INTEGER",
+  patient_mrn: "TEXT",
+  thread_id: "TEXT",
+};
+
+// SQLite-backed message store for local development and single-node setups
+class SqliteStore {
+  constructor(filename) {
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async init() {
+    // Required lazily so deployments on MySQL don't need the native module
+    const Database = require("better-sqlite3");
+
+    if (this.filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        room_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        user_name TEXT NOT NULL,
+        content TEXT NOT NULL,
+        message_type TEXT NOT NULL DEFAULT 'text',
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_room_created
+        ON messages (room_id, created_at, id);
+    `);
+
+    const existing = new Set(
+      this.db
+        .prepare("PRAGMA table_info(messages)")
+        .all()
+        .map((column) => column.name)
+    );
+    for (const [name, definition] of Object.entries(ADDED_COLUMNS)) {
+      if (!existing.has(name)) {
+        this.db.exec(`ALTER TABLE messages ADD COLUMN ${name} ${definition}`);
+      }
+    }
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_messages_room_seq ON messages (room_id, seq);
+      CREATE INDEX IF NOT EXISTS idx_messages_patient
+        ON messages (patient_mrn, created_at, id);
+      CREATE INDEX IF NOT EXISTS idx_messages_room_thread
+        ON messages (room_id, thread_id);
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        message_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        action TEXT NOT NULL,
+        replaced_at TEXT NOT NULL,
+        replaced_by TEXT NOT NULL,
+        replaced_by_name TEXT NOT NULL,
+        PRIMARY KEY (message_id, revision)
+      );
+    `);
+
+    // The audit log is append-only: updates and deletes are refused
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        chain_id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        action TEXT NOT NULL,
+        user_id TEXT,
+        user_name TEXT,
+        room_id TEXT,
+        message_id TEXT,
+        details TEXT NOT NULL,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        UNIQUE (chain_id, seq)
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log (created_at, id);
+      CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log (user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_room ON audit_log (room_id, created_at);
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+  }
+
+  async storeMessage(message) {
+    this.db
+      .prepare(
+        "INSERT INTO messages (id, room_id, user_id, user_name, content, message_type, priority, metadata, seq, patient_mrn, thread_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+      )
+      .run(
+        message.id,
+        message.roomId,
+        message.userId,
+        message.userName,
+        message.content,
+        message.type,
+        message.priority,
+        metadataToJson(message),
+        message.seq ?? null,
+        message.patientMrn ?? null,
+        message.threadId ?? null,
+        message.timestamp
+      );
+  }
+
+  // Shallow-merge `patch` into the message's metadata; returns the message
+  async updateMessageMetadata(messageId, patch) {
+    const update = this.db.transaction(() => {
+      const row = this.db
+        .prepare("SELECT * FROM messages WHERE id = ?")
+        .get(messageId);
+      if (!row) {
+        return null;
+      }
+
+      const metadata = { ...JSON.parse(row.metadata || "{}"), ...patch };
+      this.db
+        .prepare("UPDATE messages SET metadata = ? WHERE id = ?")
+        .run(JSON.stringify(metadata), messageId);
+      return rowToMessage({ ...row, metadata: JSON.stringify(metadata) });
+    });
+
+    return update();
+  }
+
+  // Replace a message's content, keeping the old content as a revision, and
+  // merge `patch` into its metadata. Returns the updated message.
+  async reviseMessage(
+    messageId,
+    { content, patch, action, replacedAt, replacedBy }
+  ) {
+    const revise = this.db.transaction(() => {
+      const row = this.db
+        .prepare("SELECT * FROM messages WHERE id = ?")
+        .get(messageId);
+      if (!row) {
+        return null;
+      }
+
+      const { count } = this.db
+        .prepare(
+          "SELECT COUNT(*) AS count FROM message_revisions WHERE message_id = ?"
+        )
+        .get(messageId);
+      this.db
+        .prepare(
+          "INSERT INTO message_revisions (message_id, revision, content, action, replaced_at, replaced_by, replaced_by_name) VALUES (?, ?, ?, ?, ?, ?, ?)"
+        )
+        .run(
+          messageId,
+          count + 1,
+          row.content,
+          action,
+          replacedAt,
+          replacedBy.userId,
+          replacedBy.userName
+        );
+
+      const metadata = JSON.stringify({
+        ...JSON.parse(row.metadata || "{}"),
+        ...patch,
+      });
+      this.db
+        .prepare("UPDATE messages SET content = ?, metadata = ? WHERE id = ?")
+        .run(content, metadata, messageId);
+      return rowToMessage({ ...row, content, metadata });
+    });
+
+    return revise();
+  }
+
+  async getMessageRevisions(messageId) {
+    return this.db
+      .prepare(
+        "SELECT * FROM message_revisions WHERE message_id = ? ORDER BY revision ASC"
+      )
+      .all(messageId)
+      .map(rowToRevision);
+  }
+
+  // IDs of the attachments sent with messages purgeMessages would delete
+  async listAttachmentIds(roomId, before) {
+    return this.db
+      .prepare(
+        "SELECT * FROM messages WHERE room_id = ? AND created_at < ? AND message_type = 'attachment'"
+      )
+      .all(roomId, before)
+      .map(rowToMessage)
+      .filter((message) => message.attachment)
+      .map((message) => message.attachment.id);
+  }
+
+  // Delete a room's messages (and their revisions) created before `before`.
+  // Returns how many messages were removed.
+  async purgeMessages(roomId, before) {
+    const purge = this.db.transaction(() => {
+      this.db
+        .prepare(
+          "DELETE FROM message_revisions WHERE message_id IN (SELECT id FROM messages WHERE room_id = ? AND created_at < ?)"
+        )
+        .run(roomId, before);
+      return this.db
+        .prepare("DELETE FROM messages WHERE room_id = ? AND created_at < ?")
+        .run(roomId, before).changes;
+    });
+
+    return purge();
+  }
+
+  async getRecentMessages(roomId, { limit, before }) {
+    const rows = before
+      ? this.db
+          .prepare(
+            "SELECT * FROM messages WHERE room_id = ? AND (created_at < ? OR (created_at = ? AND id < ?)) ORDER BY created_at DESC, id DESC LIMIT ?"
+          )
+          .all(roomId, before.timestamp, before.timestamp, before.id, limit)
+      : this.db
+          .prepare(
+            "SELECT * FROM messages WHERE room_id = ? ORDER BY created_at DESC, id DESC LIMIT ?"
+          )
+          .all(roomId, limit);
+    return rows.reverse().map(rowToMessage); // Return in chronological order
+  }
+
+  async getMessagesAfter(roomId, { limit, after }) {
+    const rows = this.db
+      .prepare(
+        "SELECT * FROM messages WHERE room_id = ? AND (created_at > ? OR (created_at = ? AND id > ?)) ORDER BY created_at ASC, id ASC LIMIT ?"
+      )
+      .all(roomId, after.timestamp, after.timestamp, after.id, limit);
+    return rows.map(rowToMessage);
+  }
+
+  // Messages with a sequence number above `afterSeq`, in sequence order
+  async getMessagesSince(roomId, { afterSeq, limit }) {
+    const rows = this.db
+      .prepare(
+        "SELECT * FROM messages WHERE room_id = ? AND seq > ? ORDER BY seq ASC LIMIT ?"
+      )
+      .all(roomId, afterSeq, limit);
+    return rows.map(rowToMessage);
+  }
+
+  // Newest page of a patient's messages across `roomIds`, oldest first
+  async getPatientMessages({ mrn, roomIds, limit, before }) {
+    if (roomIds.length === 0) {
+      return [];
+    }
+
+    const conditions = [
+      "patient_mrn = ?",
+      `room_id IN (${roomIds.map(() => "?").join(", ")})`,
+    ];
+    const params = [mrn, ...roomIds];
+    if (before) {
+      conditions.push("(created_at < ? OR (created_at = ? AND id < ?))");
+      params.push(before.timestamp, before.timestamp, before.id);
+    }
+
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM messages WHERE ${conditions.join(
+          " AND "
+        )} ORDER BY created_at DESC, id DESC LIMIT ?`
+      )
+      .all(...params, limit);
+    return rows.reverse().map(rowToMessage);
+  }
+
+  // One entry per patient thread in a room, most recently active first
+  async listPatientThreads(roomId) {
+    return this.db
+      .prepare(
+        "SELECT thread_id AS threadId, patient_mrn AS patientMrn, COUNT(*) AS messageCount, MAX(created_at) AS lastMessageAt FROM messages WHERE room_id = ? AND thread_id IS NOT NULL GROUP BY thread_id, patient_mrn ORDER BY lastMessageAt DESC"
+      )
+      .all(roomId);
+  }
+
+  async getMessage(messageId) {
+    const row = this.db
+      .prepare("SELECT * FROM messages WHERE id = ?")
+      .get(messageId);
+    return row ? rowToMessage(row) : null;
+  }
+
+  // No FULLTEXT index here, so match every search term with LIKE instead
+  async searchMessages({ roomIds, terms, from, to, author, limit }) {
+    if (terms.length === 0 || roomIds.length === 0) {
+      return [];
+    }
+
+    const conditions = [`room_id IN (${roomIds.map(() => "?").join(", ")})`];
+    const params = [...roomIds];
+
+    for (const term of terms) {
+      conditions.push("content LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(term)}%`);
+    }
+    if (author) {
+      conditions.push("user_name LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(author)}%`);
+    }
+    if (from) {
+      conditions.push("created_at >= ?");
+      params.push(from.toISOString());
+    }
+    if (to) {
+      conditions.push("created_at < ?");
+      params.push(to.toISOString());
+    }
+
+    const rows = this.db
+      .prepare(
+        `SELECT * FROM messages WHERE ${conditions.join(
+          " AND "
+        )} ORDER BY created_at DESC, id DESC LIMIT ?`
+      )
+      .all(...params, limit);
+    return rows.map(rowToMessage);
+  }
+
+  async appendAuditEntry(entry) {
+    this.db
+      .prepare(
+        "INSERT INTO audit_log (id, chain_id, seq, created_at, action, user_id, user_name, room_id, message_id, details, prev_hash, hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+      )
+      .run(
+        entry.id,
+        entry.chainId,
+        entry.seq,
+        entry.timestamp,
+        entry.action,
+        entry.userId,
+        entry.userName,
+        entry.roomId,
+        entry.messageId,
+        entry.details,
+        entry.prevHash,
+        entry.hash
+      );
+  }
+
+  async getLastAuditEntry(chainId) {
+    const row = this.db
+      .prepare(
+        "SELECT * FROM audit_log WHERE chain_id = ? ORDER BY seq DESC LIMIT 1"
+      )
+      .get(chainId);
+    return row ? rowToAuditEntry(row) : null;
+  }
+
+  // Entries of one chain with a sequence number above `afterSeq`, in order
+  async getAuditChain(chainId, { afterSeq, limit }) {
+    return this.db
+      .prepare(
+        "SELECT * FROM audit_log WHERE chain_id = ? AND seq > ? ORDER BY seq ASC LIMIT ?"
+      )
+      .all(chainId, afterSeq, limit)
+      .map(rowToAuditEntry);
+  }
+
+  async listAuditChains() {
+    return this.db
+      .prepare("SELECT DISTINCT chain_id FROM audit_log ORDER BY chain_id")
+      .all()
+      .map((row) => row.chain_id);
+  }
+
+  // Filtered audit entries, newest first
+  async queryAuditEntries(filters, limit) {
+    const { where, params } = auditConditions(filters);
+    return this.db
+      .prepare(
+        `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`
+      )
+      .all(...params, limit)
+      .map(rowToAuditEntry);
+  }
+
+  // Throws if the database can't be queried
+  async ping() {
+    this.db.prepare("SELECT 1").get();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SqliteStore;
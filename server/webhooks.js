@@ -0,0 +1,291 @@
+const crypto = require("crypto");
+const config = require("./config");
+const logger = require("./logger");
+
+// HMAC-SHA256 over "<timestamp>.<body>", so receivers can check both who
+// sent a delivery and how old it is
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// A webhook as listed to admins; the secret is only shown on registration
+function toPublicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Outbound webhooks for other hospital systems (pagers, nurse-call
+// dashboards, EHR inboxes). Admins register endpoints in Redis; each event
+// is POSTed, signed, by the server it happened on. Failed deliveries are
+// retried with exponential backoff, then dead-lettered for review.
+class WebhookDispatcher {
+  constructor({ redisManager, serverId }) {
+    this.redisManager = redisManager;
+    this.serverId = serverId;
+    this.cache = null; // { webhooks, loadedAt }
+    this.retries = new Map(); // deliveryId -> { delivery, timer, url }
+  }
+
+  // Register an endpoint. Throws an Error with a user-facing message if the
+  // URL, events or rooms are invalid. The result includes the signing secret.
+  async register({ url, events, rooms, description }, actor) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error("url must be an absolute http(s) URL");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new Error("url must be an absolute http(s) URL");
+    }
+
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !config.WEBHOOK_EVENTS.includes(event))
+    ) {
+      throw new Error(
+        `events must list one or more of: ${config.WEBHOOK_EVENTS.join(", ")}`
+      );
+    }
+
+    if (
+      rooms !== undefined &&
+      rooms !== null &&
+      (!Array.isArray(rooms) || rooms.some((room) => typeof room !== "string"))
+    ) {
+      throw new Error("rooms must be an array of room IDs");
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url: parsed.href,
+      events: [...new Set(events)],
+      rooms: rooms?.length ? [...new Set(rooms)] : null, // null: every room
+      description: description ? String(description).slice(0, 200) : null,
+      secret: crypto.randomBytes(32).toString("hex"),
+      createdAt: new Date().toISOString(),
+      createdBy: { userId: actor.userId, userName: actor.userName },
+    };
+
+    if (!(await this.redisManager.storeWebhook(webhook))) {
+      throw new Error("Failed to register webhook");
+    }
+    this.cache = null;
+
+    logger.info("Webhook registered", {
+      userId: actor.userId,
+      webhookId: webhook.id,
+      url: webhook.url,
+    });
+    return webhook;
+  }
+
+  async list() {
+    const webhooks = await this.redisManager.getWebhooks();
+    return webhooks
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(toPublicWebhook);
+  }
+
+  // True if the webhook existed. Retries this server has queued for it are
+  // cancelled; other servers drop theirs once their cached registry expires.
+  async remove(webhookId) {
+    const removed = await this.redisManager.removeWebhook(webhookId);
+    this.cache = null;
+
+    for (const [deliveryId, { delivery, timer }] of this.retries) {
+      if (delivery.webhookId === webhookId) {
+        clearTimeout(timer);
+        this.retries.delete(deliveryId);
+      }
+    }
+    return removed;
+  }
+
+  // The registry, re-read from Redis at most every WEBHOOK_CACHE_MS
+  async getWebhooks() {
+    if (
+      !this.cache ||
+      Date.now() - this.cache.loadedAt > config.WEBHOOK_CACHE_MS
+    ) {
+      this.cache = {
+        webhooks: await this.redisManager.getWebhooks(),
+        loadedAt: Date.now(),
+      };
+    }
+    return this.cache.webhooks;
+  }
+
+  // Send `data` to every webhook subscribed to `event` and its room
+  async dispatch(event, data) {
+    for (const webhook of await this.getWebhooks()) {
+      if (
+        webhook.events.includes(event) &&
+        (!webhook.rooms || webhook.rooms.includes(data.roomId))
+      ) {
+        this.send(webhook.id, event, data);
+      }
+    }
+  }
+
+  // Send a test event to one webhook; returns the delivery ID, or null if
+  // there's no such webhook
+  async ping(webhookId, actor) {
+    const webhooks = await this.redisManager.getWebhooks();
+    if (!webhooks.some((webhook) => webhook.id === webhookId)) {
+      return null;
+    }
+
+    this.cache = { webhooks, loadedAt: Date.now() };
+    return this.send(webhookId, "ping", {
+      message: "Test delivery",
+      requestedBy: { userId: actor.userId, userName: actor.userName },
+    });
+  }
+
+  // Start delivering one event; returns the delivery ID
+  send(webhookId, event, data) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId,
+      event,
+      data,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    this.deliver(delivery);
+    return delivery.id;
+  }
+
+  // Run an attempt in the background
+  deliver(delivery) {
+    this.attempt(delivery).catch((error) =>
+      logger.error("Error delivering webhook", { error })
+    );
+  }
+
+  // One delivery attempt. On failure, schedule the next one, or dead-letter
+  // the delivery once it's out of attempts.
+  async attempt(delivery) {
+    this.retries.delete(delivery.id);
+
+    const webhook = (await this.getWebhooks()).find(
+      (w) => w.id === delivery.webhookId
+    );
+    if (!webhook) {
+      return; // Removed since the event happened
+    }
+
+    delivery.attempts++;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      serverId: this.serverId,
+      data: delivery.data,
+    });
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "hospital-chat-webhooks",
+          "X-Webhook-Id": webhook.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signPayload(
+            webhook.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        redirect: "error",
+        signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      logger.info("Webhook delivered", {
+        event: delivery.event,
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+      });
+    } catch (error) {
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= config.WEBHOOK_MAX_ATTEMPTS) {
+        await this.deadLetter(delivery, webhook.url);
+        return;
+      }
+
+      const delay = config.WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1);
+      logger.warn("Webhook delivery failed, retrying", {
+        event: delivery.event,
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+        error: error.message,
+        delayMs: delay,
+      });
+      const timer = setTimeout(() => this.deliver(delivery), delay);
+      this.retries.set(delivery.id, { delivery, timer, url: webhook.url });
+    }
+  }
+
+  async deadLetter(delivery, url) {
+    logger.error("Webhook delivery dead-lettered", {
+      event: delivery.event,
+      webhookId: delivery.webhookId,
+      deliveryId: delivery.id,
+      url,
+      attempts: delivery.attempts,
+      error: delivery.lastError,
+    });
+    await this.redisManager.pushDeadLetter({
+      ...delivery,
+      url,
+      failedAt: new Date().toISOString(),
+    });
+  }
+
+  async listDeadLetters(limit) {
+    return this.redisManager.getDeadLetters(limit);
+  }
+
+  // Try a dead-lettered delivery again from the first attempt. Returns the
+  // entry, or null if there's no such dead letter.
+  async retryDeadLetter(deliveryId) {
+    const entry = await this.redisManager.takeDeadLetter(deliveryId);
+    if (!entry) {
+      return null;
+    }
+
+    const { url, failedAt, lastError, ...delivery } = entry;
+    this.deliver({ ...delivery, attempts: 0 });
+    return entry;
+  }
+
+  // Dead-letter deliveries still waiting for a retry, so a restart doesn't
+  // lose them silently
+  async stop() {
+    for (const { delivery, timer, url } of this.retries.values()) {
+      clearTimeout(timer);
+      await this.deadLetter(
+        { ...delivery, lastError: `${delivery.lastError} (server stopped)` },
+        url
+      );
+    }
+    this.retries.clear();
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  signPayload,
+};
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+test("attachments", async (t) => {
+  const attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+  const server = await startServer({ ATTACHMENTS_DIR: attachmentsDir });
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(attachmentsDir, { recursive: true, force: true });
+  });
+
+  async function upload(socket, roomId) {
+    const form = new FormData();
+    form.append(
+      "file",
+      new Blob([Buffer.from("%PDF-1.4\n% test\n")]),
+      "ecg.pdf"
+    );
+    const { status, data } = await server.api(
+      "POST",
+      `/rooms/${roomId}/attachments`,
+      { token: socket.token, body: form }
+    );
+    assert.strictEqual(status, 201);
+    return data.attachment;
+  }
+
+  await t.test("an upload can only be sent once", async () => {
+    const sender = await server.connect("nurse.lee");
+    await server.join(sender, "emergency");
+    const attachment = await upload(sender, "emergency");
+    const send = {
+      roomId: "emergency",
+      type: "attachment",
+      attachmentId: attachment.id,
+      content: "12-lead",
+    };
+
+    const first = await sender.timeout(2000).emitWithAck("send_message", send);
+    assert.strictEqual(first.ok, true);
+
+    const second = await sender.timeout(2000).emitWithAck("send_message", send);
+    assert.strictEqual(second.ok, false);
+    assert.strictEqual(second.code, "NOT_FOUND");
+  });
+});
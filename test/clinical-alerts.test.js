@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const AlertRules = require("../server/integrations/alert-rules");
+const hl7 = require("../server/integrations/hl7");
+const fhir = require("../server/integrations/fhir");
+
+const SAMPLES = path.join(__dirname, "fixtures/clinical-samples");
+
+// What each sample should post under the default rules file
+const expected = {
+  "adt-a01-admission.hl7": [
+    {
+      roomId: "icu-nursing",
+      content: "Bed 12: new admission, MRN 100234",
+      priority: "routine",
+    },
+  ],
+  "adt-a02-transfer.hl7": [
+    {
+      roomId: "cardiology",
+      content: "Bed 4: transfer in from ED, MRN 100871",
+      priority: "routine",
+    },
+  ],
+  "oru-r01-lab-results.hl7": [
+    {
+      roomId: "icu-nursing",
+      content: "Bed 12: K+ 6.8 mmol/L critical",
+      priority: "stat",
+    },
+    { skipped: "No rule for result alerts flagged N" },
+    {
+      roomId: "icu-nursing",
+      content: "Bed 12: Glucose 212 mg/dL abnormal",
+      priority: "urgent",
+    },
+  ],
+  "observation-critical-troponin.json": [
+    {
+      roomId: "cardiology",
+      content: "Bed 4: Troponin T 2.1 ng/mL critical",
+      priority: "stat",
+    },
+  ],
+  "communication-bundle.json": [
+    {
+      roomId: "emergency",
+      content: "Rapid response called to ED bed 7: SpO2 84% on 4L",
+      priority: "urgent",
+    },
+  ],
+};
+
+test("clinical alert samples", async (t) => {
+  const rules = new AlertRules();
+
+  for (const [file, routes] of Object.entries(expected)) {
+    await t.test(file, () => {
+      const body = fs.readFileSync(path.join(SAMPLES, file), "utf8");
+      const alerts = file.endsWith(".hl7")
+        ? hl7.toAlerts(hl7.parseMessage(body))
+        : fhir.toAlerts(JSON.parse(body), rules.fhirExtensions);
+
+      assert.deepStrictEqual(
+        alerts.map((alert) => rules.route(alert)),
+        routes
+      );
+    });
+  }
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServer, nextEvent } = require("./helpers/server");
+
+test("edits and deletes", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const author = await server.connect("nurse.lee");
+  await server.join(author, "emergency");
+  const other = await server.connect("dr.patel");
+  await server.join(other, "emergency");
+
+  const { token: adminToken } = await server.login("admin");
+  const auditEntries = async (action) =>
+    (await server.api("GET", `/audit?action=${action}`, { token: adminToken }))
+      .data.entries;
+
+  const send = async (content) =>
+    (
+      await author
+        .timeout(2000)
+        .emitWithAck("send_message", { roomId: "emergency", content })
+    ).messageId;
+
+  await t.test("only the author can edit or delete", async () => {
+    const messageId = await send("Bed 2 needs a porter");
+
+    const edit = await other
+      .timeout(2000)
+      .emitWithAck("edit_message", { messageId, content: "Bed 3" });
+    assert.strictEqual(edit.code, "FORBIDDEN");
+
+    const remove = await other
+      .timeout(2000)
+      .emitWithAck("delete_message", { messageId });
+    assert.strictEqual(remove.code, "FORBIDDEN");
+  });
+
+  await t.test("an edit is revised, broadcast and audited", async () => {
+    const messageId = await send("Bed 4 NPO from midnight");
+
+    const edited = nextEvent(other, "message_edited");
+    const ack = await author.timeout(2000).emitWithAck("edit_message", {
+      messageId,
+      content: "Bed 4 NPO from 22:00",
+    });
+    assert.strictEqual(ack.ok, true);
+
+    const event = await edited;
+    assert.strictEqual(event.messageId, messageId);
+    assert.strictEqual(event.content, "Bed 4 NPO from 22:00");
+
+    const { data } = await server.api(
+      "GET",
+      `/rooms/emergency/messages/${messageId}/revisions`,
+      { token: author.token }
+    );
+    assert.deepStrictEqual(
+      data.revisions.map(({ revision, content, action, replacedBy }) => ({
+        revision,
+        content,
+        action,
+        userId: replacedBy.userId,
+      })),
+      [
+        {
+          revision: 1,
+          content: "Bed 4 NPO from midnight",
+          action: "edit",
+          userId: author.user.userId,
+        },
+      ]
+    );
+
+    const entries = await auditEntries("message_edited");
+    assert.ok(entries.some((entry) => entry.messageId === messageId));
+  });
+
+  await t.test("a delete is revised, broadcast and audited", async () => {
+    const messageId = await send("Wrong patient, ignore");
+
+    const deleted = nextEvent(other, "message_deleted");
+    const ack = await author
+      .timeout(2000)
+      .emitWithAck("delete_message", { messageId });
+    assert.strictEqual(ack.ok, true);
+
+    const event = await deleted;
+    assert.strictEqual(event.messageId, messageId);
+    assert.strictEqual(event.deletedBy.userId, author.user.userId);
+
+    // What it said is kept for admins
+    const { data } = await server.api(
+      "GET",
+      `/rooms/emergency/messages/${messageId}/revisions`,
+      { token: adminToken }
+    );
+    assert.deepStrictEqual(
+      data.revisions.map(({ content, action }) => [content, action]),
+      [["Wrong patient, ignore", "delete"]]
+    );
+
+    const entries = await auditEntries("message_deleted");
+    const entry = entries.find((entry) => entry.messageId === messageId);
+    assert.deepStrictEqual(entry.details, { ownMessage: true });
+  });
+});
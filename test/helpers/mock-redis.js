@@ -0,0 +1,11 @@
+// Preloaded (node -r) into servers started by the tests: every ioredis
+// client in the process shares one in-memory Redis, pub/sub included
+const Module = require("module");
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  if (request === "ioredis") {
+    return require.resolve("ioredis-mock");
+  }
+  return resolveFilename.call(this, request, ...rest);
+};
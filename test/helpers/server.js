@@ -0,0 +1,179 @@
+const { spawn } = require("child_process");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+const ROOT = path.join(__dirname, "../..");
+
+// Start a chat server on a free port, with Redis mocked in-process and
+// `env` on top of the defaults. Resolves once it's listening.
+function startServer(env = {}) {
+  const port = 4100 + Math.floor(Math.random() * 800);
+  const child = spawn(
+    process.execPath,
+    ["-r", path.join(__dirname, "mock-redis.js"), "server/index.js"],
+    {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        PORT: String(port),
+        SERVER_ID: "test-server",
+        LOG_LEVEL: "warn",
+        ...env,
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    }
+  );
+
+  let output = "";
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server didn't start:\n${output}`));
+    }, 10000);
+
+    // The startup line is logged at info, below the default test level,
+    // so poll the liveness endpoint instead
+    const poll = async () => {
+      try {
+        const response = await fetch(`http://localhost:${port}/health/live`);
+        if (response.ok) {
+          clearTimeout(timer);
+          resolve(createHandle(child, port, () => output));
+          return;
+        }
+      } catch (error) {
+        // Not listening yet
+      }
+      setTimeout(poll, 100);
+    };
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+    poll();
+  });
+}
+
+function createHandle(child, port, getOutput) {
+  const url = `http://localhost:${port}`;
+  const sockets = [];
+
+  // Objects are sent as JSON; strings and FormData as they are
+  async function api(method, route, { token, body, headers } = {}) {
+    const raw =
+      body === undefined ||
+      typeof body === "string" ||
+      body instanceof FormData;
+    const response = await fetch(url + route, {
+      method,
+      headers: {
+        ...(!raw && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: raw ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not JSON
+    }
+    return { status: response.status, data };
+  }
+
+  // Staff accounts in server/data/staff.json all use the dev password
+  async function login(username) {
+    const { status, data } = await api("POST", "/auth/login", {
+      body: { username, password: "changeme" },
+    });
+    if (status !== 200) {
+      throw new Error(`Login failed for ${username}: ${JSON.stringify(data)}`);
+    }
+    return data;
+  }
+
+  // A connected socket for `username`, with an `events` log. `auth` is
+  // added to the handshake; other options go to the Socket.IO client.
+  async function connect(username, { auth, ...options } = {}) {
+    const { token, user } = await login(username);
+    const socket = io(url, {
+      transports: ["websocket"],
+      ...options,
+      auth: { token, ...auth },
+    });
+    sockets.push(socket);
+    socket.user = user;
+    socket.token = token;
+    socket.events = [];
+    socket.onAny((event, data) => socket.events.push({ event, data }));
+
+    await new Promise((resolve, reject) => {
+      socket.once("connect", resolve);
+      socket.once("connect_error", reject);
+    });
+    return socket;
+  }
+
+  // Join a room and wait for the confirmation
+  function join(socket, roomId) {
+    return new Promise((resolve) => {
+      socket.once("room_history", resolve);
+      socket.emit("join_room", { roomId });
+    });
+  }
+
+  // Resolves with the exit code once the server process has exited
+  const exited = new Promise((resolve) => {
+    if (child.exitCode !== null) {
+      resolve(child.exitCode);
+    } else {
+      child.once("exit", resolve);
+    }
+  });
+
+  function kill(signal = "SIGTERM") {
+    child.kill(signal);
+  }
+
+  async function stop() {
+    for (const socket of sockets) {
+      socket.close();
+    }
+    if (child.exitCode === null) {
+      kill();
+      await exited;
+    }
+  }
+
+  return {
+    url,
+    api,
+    login,
+    connect,
+    join,
+    kill,
+    exited,
+    stop,
+    output: getOutput,
+  };
+}
+
+// Resolve with the first event `socket` gets, or reject after `ms`
+function nextEvent(socket, event, ms = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`No ${event} within ${ms}ms`)),
+      ms
+    );
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+module.exports = { startServer, nextEvent };
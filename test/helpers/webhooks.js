@@ -0,0 +1,38 @@
+const http = require("http");
+
+// A local endpoint that records what it's sent and answers with `status`
+async function startReceiver(status = 200) {
+  const deliveries = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      deliveries.push(JSON.parse(body));
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  return {
+    url: `http://localhost:${server.address().port}/hooks`,
+    deliveries,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Resolve with the first delivery matching `predicate`, or reject after `ms`
+async function waitForDelivery(receiver, predicate, ms = 5000) {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline) {
+    const delivery = receiver.deliveries.find(predicate);
+    if (delivery) {
+      return delivery;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(
+    `No matching delivery; got ${JSON.stringify(receiver.deliveries)}`
+  );
+}
+
+module.exports = { startReceiver, waitForDelivery };
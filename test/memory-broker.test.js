@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const MemoryBroker = require("../server/brokers/memory-broker");
+
+test("every group gets each message, in order", async () => {
+  const broker = new MemoryBroker();
+  const seen = { a: [], b: [] };
+  await broker.subscribe("chat", "a", async (value) => seen.a.push(value.n));
+  await broker.subscribe("chat", "b", async (value) => seen.b.push(value.n));
+
+  for (let n = 1; n <= 5; n++) {
+    await broker.publish("chat", "room", { n });
+  }
+  await broker.disconnect();
+
+  assert.deepStrictEqual(seen.a, [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(seen.b, [1, 2, 3, 4, 5]);
+});
+
+test("messages published before the first subscriber are held for it", async () => {
+  const broker = new MemoryBroker();
+  await broker.publish("chat", "room", { n: 1 });
+  await broker.publish("chat", "room", { n: 2 });
+
+  const seen = [];
+  await broker.subscribe("chat", "a", async (value, meta) =>
+    seen.push([value.n, meta.topic, meta.key])
+  );
+  await broker.disconnect();
+
+  assert.deepStrictEqual(seen, [
+    [1, "chat", "room"],
+    [2, "chat", "room"],
+  ]);
+});
+
+test("a group can only subscribe to a topic once", async () => {
+  const broker = new MemoryBroker();
+  await broker.subscribe("chat", "a", async () => {});
+  await assert.rejects(
+    broker.subscribe("chat", "a", async () => {}),
+    /already subscribed/
+  );
+});
+
+test("a failing handler is retried", async () => {
+  const broker = new MemoryBroker({ retryDelayMs: 1 });
+  let calls = 0;
+  await broker.subscribe("chat", "a", async () => {
+    calls++;
+    if (calls < 3) {
+      throw new Error("flaky");
+    }
+  });
+
+  await broker.publish("chat", "room", { id: "m1" });
+  await broker.disconnect();
+
+  assert.strictEqual(calls, 3);
+  assert.deepStrictEqual(broker.deadLetters, []);
+});
+
+test("messages out of attempts are dead-lettered and the group moves on", async () => {
+  const broker = new MemoryBroker({ maxAttempts: 2, retryDelayMs: 1 });
+  const handled = [];
+  await broker.subscribe("chat", "a", async (value) => {
+    if (value.id === "bad") {
+      throw new Error("boom");
+    }
+    handled.push(value.id);
+  });
+
+  await broker.publish("chat", "room", { id: "bad" });
+  await broker.publish("chat", "room", { id: "good" });
+  await broker.disconnect();
+
+  assert.deepStrictEqual(handled, ["good"]);
+  assert.strictEqual(broker.deadLetters.length, 1);
+  assert.deepStrictEqual(
+    {
+      groupId: broker.deadLetters[0].groupId,
+      topic: broker.deadLetters[0].topic,
+      key: broker.deadLetters[0].key,
+      value: broker.deadLetters[0].value,
+      error: broker.deadLetters[0].error,
+    },
+    {
+      groupId: "a",
+      topic: "chat",
+      key: "room",
+      value: { id: "bad" },
+      error: "boom",
+    }
+  );
+});
+
+test("the dead-letter list is capped", async () => {
+  const broker = new MemoryBroker({
+    maxAttempts: 1,
+    retryDelayMs: 1,
+    maxDeadLetters: 2,
+  });
+  await broker.subscribe("chat", "a", async () => {
+    throw new Error("boom");
+  });
+
+  for (const id of ["m1", "m2", "m3"]) {
+    await broker.publish("chat", "room", { id });
+  }
+  await broker.disconnect();
+
+  assert.deepStrictEqual(
+    broker.deadLetters.map((entry) => entry.value.id),
+    ["m2", "m3"]
+  );
+});
+
+test("disconnect waits for queued messages", async () => {
+  const broker = new MemoryBroker();
+  const seen = [];
+  await broker.subscribe("chat", "a", async (value) => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    seen.push(value.n);
+  });
+
+  await broker.publish("chat", "room", { n: 1 });
+  await broker.publish("chat", "room", { n: 2 });
+  assert.deepStrictEqual(seen, []);
+
+  await broker.disconnect();
+  assert.deepStrictEqual(seen, [1, 2]);
+});
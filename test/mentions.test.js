@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../server/config");
+const MentionManager = require("../server/mentions");
+
+function staffMember(n, roles) {
+  return { userId: `staff-${n}`, username: `user.${n}`, roles };
+}
+
+// A ward with more nurses than one message may mention, and two attendings
+const nurses = Array.from(
+  { length: config.MAX_MENTION_RECIPIENTS + 5 },
+  (_, n) => staffMember(n, ["nurse"])
+);
+const attendings = [
+  staffMember(100, ["attending"]),
+  staffMember(101, ["attending"]),
+];
+const staff = [...nurses, ...attendings];
+
+function createMentions() {
+  return new MentionManager({
+    staffDirectory: {
+      getByUsername: (username) =>
+        staff.find((member) => member.username === username) || null,
+      listByRole: (role) =>
+        staff.filter((member) => member.roles.includes(role)),
+    },
+    onCallRoster: {
+      getMembers: async (team) =>
+        team === "cardiology" ? [attendings[0], nurses[0]] : [],
+    },
+  });
+}
+
+test("handles resolve to users, roles and on-call teams", async () => {
+  const mentions = await createMentions().resolve(
+    "@user.3 and @attending, @oncall-cardiology please; @nobody"
+  );
+  assert.deepStrictEqual(
+    mentions.map(({ handle, type, userIds }) => [handle, type, userIds.length]),
+    [
+      ["user.3", "user", 1],
+      ["attending", "role", 2],
+      ["oncall-cardiology", "oncall", 2],
+    ]
+  );
+});
+
+test("a handle reaching too many people is rejected", async () => {
+  await assert.rejects(createMentions().resolve("@nurse please check bed 4"), {
+    code: "TOO_MANY_MENTIONS",
+    message: /Mentions reach more than 25 people \(at @nurse\)/,
+  });
+});
+
+test("people named by several handles count once towards the limit", async (t) => {
+  const limit = config.MAX_MENTION_RECIPIENTS;
+  config.MAX_MENTION_RECIPIENTS = 3;
+  t.after(() => (config.MAX_MENTION_RECIPIENTS = limit));
+
+  // Two attendings, plus on-call an attending again and a nurse: 3 people
+  const mentions = await createMentions().resolve(
+    "@attending @oncall-cardiology"
+  );
+  assert.strictEqual(mentions.length, 2);
+
+  await assert.rejects(
+    createMentions().resolve("@attending @oncall-cardiology @user.5"),
+    /more than 3 people \(at @user\.5\)/
+  );
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServer, nextEvent } = require("./helpers/server");
+
+test("messages", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test("a message can be acted on as soon as it's acked", async () => {
+    const sender = await server.connect("nurse.lee");
+    await server.join(sender, "emergency");
+
+    const ack = await sender.timeout(2000).emitWithAck("send_message", {
+      roomId: "emergency",
+      content: "BP 90/60",
+    });
+    assert.strictEqual(ack.ok, true);
+
+    // Reactions look the message up in the store straight away
+    const reacted = await sender.timeout(2000).emitWithAck("react_message", {
+      messageId: ack.messageId,
+      reaction: "👀",
+    });
+    assert.strictEqual(reacted.ok, true);
+
+    // And a late joiner's history already has it
+    const reader = await server.connect("dr.patel");
+    const history = await server.join(reader, "emergency");
+    assert.ok(history.messages.some((message) => message.id === ack.messageId));
+  });
+
+  await t.test("a retried send is logged for PHI review once", async () => {
+    const sender = await server.connect("nurse.lee");
+    await server.join(sender, "emergency");
+    const send = {
+      roomId: "emergency",
+      content: "Results sent to family at jane@example.com",
+      clientMessageId: "retry-phi-1",
+    };
+
+    const { token } = await server.login("admin");
+    const countEvents = async () =>
+      (await server.api("GET", "/compliance/phi-events", { token })).data.events
+        .length;
+    const before = await countEvents();
+
+    const first = await sender.timeout(2000).emitWithAck("send_message", send);
+    const retry = await sender.timeout(2000).emitWithAck("send_message", send);
+    assert.strictEqual(retry.duplicate, true);
+    assert.strictEqual(retry.messageId, first.messageId);
+
+    assert.strictEqual(await countEvents(), before + 1);
+  });
+
+  await t.test(
+    "a resend with the same clientMessageId is stored once",
+    async () => {
+      const sender = await server.connect("dr.patel");
+      await server.join(sender, "surgery");
+      const send = {
+        roomId: "surgery",
+        content: "OR 3 ready for next case",
+        clientMessageId: "resend-1",
+      };
+
+      const first = await sender
+        .timeout(2000)
+        .emitWithAck("send_message", send);
+      const resend = await sender
+        .timeout(2000)
+        .emitWithAck("send_message", send);
+      assert.deepStrictEqual(resend, {
+        ok: true,
+        messageId: first.messageId,
+        duplicate: true,
+      });
+
+      const { data } = await server.api("GET", "/rooms/surgery/messages", {
+        token: sender.token,
+      });
+      assert.strictEqual(
+        data.messages.filter((message) => message.content === send.content)
+          .length,
+        1
+      );
+    }
+  );
+
+  await t.test(
+    "a reconnect with lastSeq replays just what was missed",
+    async () => {
+      const sender = await server.connect("dr.patel");
+      await server.join(sender, "shift-huddle");
+      const reader = await server.connect("nurse.lee");
+      await server.join(reader, "shift-huddle");
+
+      const seen = nextEvent(reader, "new_message");
+      await sender.timeout(2000).emitWithAck("send_message", {
+        roomId: "shift-huddle",
+        content: "Seen",
+      });
+      const { seq: lastSeq } = await seen;
+      reader.close();
+
+      for (const content of ["Missed 1", "Missed 2"]) {
+        await sender
+          .timeout(2000)
+          .emitWithAck("send_message", { roomId: "shift-huddle", content });
+      }
+
+      const returning = await server.connect("nurse.lee");
+      const missed = nextEvent(returning, "missed_messages");
+      returning.emit("join_room", { roomId: "shift-huddle", lastSeq });
+      const { messages, hasMore } = await missed;
+      assert.deepStrictEqual(
+        messages.map((message) => [message.seq, message.content]),
+        [
+          [lastSeq + 1, "Missed 1"],
+          [lastSeq + 2, "Missed 2"],
+        ]
+      );
+      assert.strictEqual(hasMore, false);
+    }
+  );
+});
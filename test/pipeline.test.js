@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const pipeline = require("../server/kafka");
+const createNotificationProcessor = require("../server/processors/notifications");
+const createAnalyticsProcessor = require("../server/processors/analytics");
+
+// The default (memory) broker runs the real pipeline in-process
+test("processors consume published messages", async () => {
+  const handled = { first: [], second: [] };
+  await pipeline.startMessageProcessor([
+    { name: "first", handle: async (message) => handled.first.push(message) },
+    { name: "second", handle: async (message) => handled.second.push(message) },
+  ]);
+
+  const message = { id: "m1", roomId: "emergency", content: "hello" };
+  await pipeline.publishMessage("chat-messages", message);
+
+  const health = await pipeline.healthCheck();
+  assert.strictEqual(health.status, "healthy");
+  assert.strictEqual(health.broker, "memory");
+
+  await pipeline.stopPipeline();
+  assert.deepStrictEqual(handled.first, [message]);
+  assert.deepStrictEqual(handled.second, [message]);
+});
+
+test("notifications update conversations and nudge their participants", async () => {
+  const conversation = { id: "dm:a:b", participantIds: ["a", "b"] };
+  const recorded = [];
+  const published = [];
+  const processor = createNotificationProcessor({
+    conversations: {
+      get: async (roomId) => (roomId === conversation.id ? conversation : null),
+      recordMessage: async (...args) => recorded.push(args),
+    },
+    redisManager: {
+      publishToUsers: async (...args) => published.push(args),
+    },
+  });
+
+  await processor.handle({ id: "m1", roomId: "emergency" });
+  assert.deepStrictEqual(recorded, []);
+  assert.deepStrictEqual(published, []);
+
+  const message = { id: "m2", roomId: conversation.id };
+  await processor.handle(message);
+  assert.deepStrictEqual(recorded, [[conversation, message]]);
+  assert.deepStrictEqual(published, [
+    [
+      ["a", "b"],
+      "conversation_activity",
+      { conversationId: conversation.id, messageId: "m2" },
+    ],
+  ]);
+});
+
+test("analytics records each message's stats", async () => {
+  const recorded = [];
+  const processor = createAnalyticsProcessor({
+    redisManager: {
+      recordMessageStats: async (message) => recorded.push(message),
+    },
+  });
+
+  const message = { id: "m1", roomId: "emergency", priority: "stat" };
+  await processor.handle(message);
+  assert.deepStrictEqual(recorded, [message]);
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../server/config");
+const { startServer } = require("./helpers/server");
+
+test("rate limits", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test("sends over the per-user limit are rejected", async () => {
+    const sender = await server.connect("nurse.lee");
+    await server.join(sender, "emergency");
+    const { capacity } = config.RATE_LIMITS.send_message.user;
+
+    const acks = await Promise.all(
+      Array.from({ length: capacity + 1 }, (_, n) =>
+        sender.timeout(2000).emitWithAck("send_message", {
+          roomId: "emergency",
+          content: `Update ${n}`,
+        })
+      )
+    );
+
+    assert.ok(acks.slice(0, capacity).every((ack) => ack.ok));
+    const limited = acks[capacity];
+    assert.strictEqual(limited.code, "RATE_LIMITED");
+    assert.strictEqual(limited.muted, false);
+    assert.ok(limited.retryAfter > 0 && limited.retryAfter <= 1000);
+    assert.ok(
+      sender.events.some(
+        ({ event, data }) =>
+          event === "rate_limited" && data.roomId === "emergency"
+      )
+    );
+  });
+
+  await t.test("repeated violations mute the user", async () => {
+    const typist = await server.connect("dr.patel");
+    await server.join(typist, "emergency");
+    const { capacity } = config.RATE_LIMITS.typing_start.user;
+
+    // A few spare, in case the bucket refills a token along the way
+    for (let n = 0; n < capacity + config.MUTE_AFTER_VIOLATIONS + 5; n++) {
+      typist.emit("typing_start", { roomId: "emergency" });
+    }
+
+    // Muted now, for every limited event
+    const ack = await typist.timeout(2000).emitWithAck("send_message", {
+      roomId: "emergency",
+      content: "Still there?",
+    });
+    assert.strictEqual(ack.code, "RATE_LIMITED");
+    assert.strictEqual(ack.muted, true);
+    assert.ok(ack.retryAfter > config.MUTE_DURATION_MS - 5000);
+
+    // The violation that reached the limit is the first to be muted
+    const muted = typist.events
+      .filter(({ event }) => event === "rate_limited")
+      .map(({ data }) => data.muted);
+    assert.strictEqual(muted.indexOf(true), config.MUTE_AFTER_VIOLATIONS - 1);
+    assert.ok(muted.slice(config.MUTE_AFTER_VIOLATIONS - 1).every(Boolean));
+
+    const { token } = await server.login("admin");
+    const { data } = await server.api("GET", "/audit?action=user_muted", {
+      token,
+    });
+    assert.ok(
+      data.entries.some((entry) => entry.userId === typist.user.userId)
+    );
+  });
+});
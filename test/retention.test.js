@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Config is read on require, so point attachments at a scratch directory first
+const attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "retention-"));
+process.env.ATTACHMENTS_DIR = attachmentsDir;
+
+const database = require("../server/database");
+const attachments = require("../server/attachments");
+const RetentionJob = require("../server/retention");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const user = { userId: "staff-004", userName: "Nurse Lee" };
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+async function upload(roomId) {
+  return attachments.saveAttachment({
+    buffer: Buffer.from("%PDF-1.4\n% test\n"),
+    fileName: "ecg.pdf",
+    mimeType: "application/pdf",
+    roomId,
+    user,
+  });
+}
+
+// Change an attachment's metadata on disk, e.g. to age it
+function rewriteMetadata(attachmentId, update) {
+  const file = path.join(attachmentsDir, attachmentId, "meta.json");
+  const metadata = update(JSON.parse(fs.readFileSync(file, "utf8")));
+  fs.writeFileSync(file, JSON.stringify(metadata));
+}
+
+async function sendWith(attachment, timestamp) {
+  const message = {
+    id: `message-${attachment.id}`,
+    ...user,
+    roomId: attachment.roomId,
+    content: "",
+    type: "attachment",
+    priority: "routine",
+    timestamp,
+    attachment: attachments.toMessageAttachment(attachment),
+  };
+  await database.storeMessage(message);
+  await attachments.markAttachmentSent(attachment.id, message.id);
+  return message;
+}
+
+function createJob(audited) {
+  return new RetentionJob({
+    roomRegistry: {
+      listRetentionPolicies: () => [
+        { roomId: "shift-huddle", retentionDays: 30 },
+      ],
+    },
+    redisManager: { acquireLock: async () => true },
+    audit: { record: (...entry) => audited.push(entry) },
+    serverId: "test-server",
+  });
+}
+
+test.after(() => fs.rmSync(attachmentsDir, { recursive: true, force: true }));
+
+test("retention purges old messages with their attachments and sweeps unused files", async () => {
+  const expired = await upload("shift-huddle");
+  const expiredMessage = await sendWith(expired, daysAgo(40));
+
+  const recent = await upload("shift-huddle");
+  const recentMessage = await sendWith(recent, daysAgo(1));
+
+  const orphan = await upload("shift-huddle");
+  rewriteMetadata(orphan.id, (metadata) => ({
+    ...metadata,
+    uploadedAt: daysAgo(2),
+  }));
+
+  const fresh = await upload("shift-huddle");
+
+  const deleted = await upload("emergency");
+  await sendWith(deleted, daysAgo(1));
+  await attachments.markAttachmentDeleted(deleted.id);
+
+  // Uploaded before sends were recorded: no messageId field at all
+  const legacy = await upload("emergency");
+  rewriteMetadata(legacy.id, ({ messageId, ...metadata }) => ({
+    ...metadata,
+    uploadedAt: daysAgo(10),
+  }));
+
+  const audited = [];
+  const purged = await createJob(audited).run();
+
+  assert.deepStrictEqual(purged, { "shift-huddle": 1 });
+  assert.strictEqual(await database.getMessage(expiredMessage.id), null);
+  assert.ok(await database.getMessage(recentMessage.id));
+
+  assert.strictEqual(await attachments.getAttachment(expired.id), null);
+  assert.strictEqual(
+    await attachments.openAttachment(expired.id, "original"),
+    null
+  );
+  assert.strictEqual(await attachments.getAttachment(orphan.id), null);
+  assert.strictEqual(await attachments.getAttachment(deleted.id), null);
+  assert.ok(await attachments.getAttachment(recent.id));
+  assert.ok(await attachments.getAttachment(fresh.id));
+  assert.ok(await attachments.getAttachment(legacy.id));
+
+  assert.deepStrictEqual(
+    audited.map(([action, , { details }]) => [
+      action,
+      details.count ?? details,
+    ]),
+    [
+      ["messages_purged", 1],
+      ["attachments_swept", { deleted: 1, orphaned: 1 }],
+    ]
+  );
+});
+
+test("retention does nothing while another server holds the lock", async () => {
+  const job = createJob([]);
+  job.redisManager = { acquireLock: async () => false };
+  assert.strictEqual(await job.run(), null);
+});
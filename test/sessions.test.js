@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers/server");
+const { startReceiver, waitForDelivery } = require("./helpers/webhooks");
+
+const GRACE_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// The `session` event sent on connect; it can arrive before the test listens
+async function sessionOf(socket) {
+  for (let waited = 0; waited < 2000; waited += 20) {
+    const event = socket.events.find(({ event }) => event === "session");
+    if (event) {
+      return event.data;
+    }
+    await sleep(20);
+  }
+  throw new Error("No session event");
+}
+
+test("session resume", async (t) => {
+  const receiver = await startReceiver();
+  const server = await startServer({ RESUME_GRACE_MS: String(GRACE_MS) });
+  t.after(async () => {
+    await server.stop();
+    await receiver.close();
+  });
+
+  // Joins and leaves are published as webhook events, which makes them
+  // visible with a single server
+  const { token } = await server.login("admin");
+  await server.api("POST", "/webhooks", {
+    token,
+    body: { url: receiver.url, events: ["user_joined", "user_left"] },
+  });
+
+  // A connection for nurse.lee in `roomId` that then drops unexpectedly.
+  // Returns its resume token.
+  async function joinAndDrop(roomId) {
+    const socket = await server.connect("nurse.lee", { reconnection: false });
+    const { resumeToken } = await sessionOf(socket);
+    await server.join(socket, roomId);
+    await waitForDelivery(
+      receiver,
+      (d) => d.event === "user_joined" && d.data.roomId === roomId
+    );
+
+    receiver.deliveries.length = 0;
+    socket.io.engine.close();
+    await sleep(200); // Until the server has parked the session
+    return resumeToken;
+  }
+
+  await t.test(
+    "a reconnect within the grace period keeps its rooms",
+    async () => {
+      const resumeToken = await joinAndDrop("emergency");
+
+      const socket = await server.connect("nurse.lee", {
+        auth: { resumeToken },
+      });
+      const { resumed, rooms } = await sessionOf(socket);
+      assert.strictEqual(resumed, true);
+      assert.deepStrictEqual(rooms, ["emergency"]);
+
+      // Still in the room without joining it again
+      const ack = await socket.timeout(2000).emitWithAck("send_message", {
+        roomId: "emergency",
+        content: "Back on Wi-Fi",
+      });
+      assert.strictEqual(ack.ok, true);
+
+      await sleep(GRACE_MS + 500);
+      assert.deepStrictEqual(receiver.deliveries, []);
+    }
+  );
+
+  await t.test("an expired session leaves its rooms", async () => {
+    const resumeToken = await joinAndDrop("shift-huddle");
+
+    const left = await waitForDelivery(
+      receiver,
+      (d) => d.event === "user_left" && d.data.roomId === "shift-huddle",
+      GRACE_MS + 2000
+    );
+    assert.strictEqual(left.data.reason, "timeout");
+
+    const stats = await server.api("GET", "/rooms/shift-huddle/stats", {
+      token,
+    });
+    assert.strictEqual(stats.data.userCount, 0);
+
+    // Too late to resume: the client starts afresh
+    const socket = await server.connect("nurse.lee", {
+      auth: { resumeToken },
+    });
+    const session = await sessionOf(socket);
+    assert.strictEqual(session.resumed, false);
+    assert.deepStrictEqual(session.rooms, []);
+  });
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServer, nextEvent } = require("./helpers/server");
+
+test("SIGTERM drains the server before it exits", async (t) => {
+  const server = await startServer({ DRAIN_DELAY_MS: "1000" });
+  t.after(() => server.stop());
+
+  const socket = await server.connect("nurse.lee");
+  await server.join(socket, "emergency");
+  const draining = nextEvent(socket, "server_draining", 5000);
+
+  server.kill("SIGTERM");
+
+  // Within DRAIN_DELAY_MS: not ready for new connections, but still alive
+  let ready;
+  for (let tries = 0; tries < 20; tries++) {
+    ready = await server.api("GET", "/health/ready");
+    if (ready.status === 503) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  assert.strictEqual(ready.status, 503);
+  assert.strictEqual(ready.data.status, "draining");
+  assert.strictEqual((await server.api("GET", "/health/live")).status, 200);
+
+  const event = await draining;
+  assert.strictEqual(event.serverId, "test-server");
+  assert.ok(event.reconnectWithinMs > 0);
+
+  assert.strictEqual(await server.exited, 0);
+});
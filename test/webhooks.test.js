@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+const { startReceiver, waitForDelivery } = require("./helpers/webhooks");
+const { WebhookDispatcher } = require("../server/webhooks");
+
+const SAMPLES = path.join(__dirname, "fixtures/clinical-samples");
+
+test("webhooks", async (t) => {
+  const receiver = await startReceiver();
+  const server = await startServer({
+    INTEGRATION_API_KEY: "test-key",
+    STAT_ACK_TIMEOUT_MS: "500",
+  });
+  t.after(async () => {
+    await server.stop();
+    await receiver.close();
+  });
+
+  const { token } = await server.login("admin");
+  const registered = await server.api("POST", "/webhooks", {
+    token,
+    body: {
+      url: receiver.url,
+      events: ["new_message", "stat_message", "message_escalated"],
+    },
+  });
+  assert.strictEqual(registered.status, 201);
+
+  // Nobody is connected, so this server never hears its own publishes back
+  const posted = await server.api("POST", "/integrations/hl7", {
+    headers: {
+      Authorization: "Bearer test-key",
+      "Content-Type": "x-application/hl7-v2+er7",
+    },
+    body: fs.readFileSync(
+      path.join(SAMPLES, "oru-r01-lab-results.hl7"),
+      "utf8"
+    ),
+  });
+  assert.strictEqual(posted.status, 200);
+
+  await t.test(
+    "an alert into a room with no local members goes out",
+    async () => {
+      const delivery = await waitForDelivery(
+        receiver,
+        (d) => d.event === "stat_message" && d.data.roomId === "icu-nursing"
+      );
+      assert.strictEqual(
+        delivery.data.content,
+        "Bed 12: K+ 6.8 mmol/L critical"
+      );
+      await waitForDelivery(
+        receiver,
+        (d) => d.event === "new_message" && d.data.id === delivery.data.id
+      );
+    }
+  );
+
+  await t.test("an unacknowledged alert's escalation goes out", async () => {
+    await waitForDelivery(
+      receiver,
+      (d) => d.event === "message_escalated" && d.data.roomId === "icu-nursing"
+    );
+    await waitForDelivery(
+      receiver,
+      (d) =>
+        d.event === "new_message" &&
+        d.data.roomId === "on-call" &&
+        d.data.type === "escalation"
+    );
+  });
+});
+
+test("removing a webhook cancels its queued retries", async (t) => {
+  const receiver = await startReceiver(500);
+  t.after(() => receiver.close());
+
+  const hook = {
+    id: "hook-1",
+    url: receiver.url,
+    events: ["new_message"],
+    rooms: null,
+    secret: "secret",
+  };
+  const dispatcher = new WebhookDispatcher({
+    redisManager: {
+      getWebhooks: async () => [hook],
+      removeWebhook: async () => true,
+    },
+    serverId: "test-server",
+  });
+
+  await dispatcher.dispatch("new_message", { roomId: "emergency" });
+  await waitForDelivery(receiver, () => true);
+  while (dispatcher.retries.size === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  assert.strictEqual(await dispatcher.remove(hook.id), true);
+  assert.strictEqual(dispatcher.retries.size, 0);
+});